@@ -33,10 +33,14 @@ const TIMEOUTS = {
   SHEETS: 30000,       // 30s - Google Sheets (can be slow)
   WATI: 10000,         // 10s - WhatsApp API
   SMARTFLO: 10000,     // 10s - Smartflo calling API
+  GATEWAY: 10000,      // 10s - Payment gateway API
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  WHATSAPP GROUP LINKS & TEMPLATES
+//  Registration confirmation template + group link are per session
+//  (sessions collection — services/sessionStore.js). The values below are
+//  the fallback when no upcoming session of the mode is scheduled.
 // ═══════════════════════════════════════════════════════════════════════════
 
 const WHATSAPP = {
@@ -47,6 +51,8 @@ const WHATSAPP = {
   TEMPLATES: {
     ONLINE_CONFIRMATION: 'cgi_22_test3',
     OFFLINE_CONFIRMATION: 'cgi_22_test3_2',
+    PAYMENT_LINK: 'cgi_payment_link',   // params: name, amount, payment_link, due_date
+    PAYMENT_REMINDER: 'cgi_payment_reminder',   // params: name, amount, payment_link, due_date, days_left
   },
   BROADCAST_NAME: 'Registration_Confirmation',
 };
@@ -141,6 +147,13 @@ const FIELD_HEADERS = {
   partialAccess:     'Partial Access',
   accessThreshold:   'Access Threshold',
   paymentDeadline:   'Payment Deadline',
+  // Payment ledger rollups (leads/{cgId}/payments)
+  paymentCount:      'Payment Count',
+  nextDueDate:       'Next Due Date',
+  nextDueAmount:     'Next Due Amount',
+  paymentLinkUrl:    'Payment Link',
+  paymentOverdue:    'Payment Overdue',
+  engagementScore:   'Engagement Score',
 };
 
 // Reverse map: header text → field key
@@ -150,6 +163,49 @@ for (const [field, header] of Object.entries(FIELD_HEADERS)) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  ATTENDANCE HEADERS — OnlineAttendence sheet (registrations + attendance)
+//  Separate dictionary: same header-driven lookup as FIELD_HEADERS, but a
+//  different sheet layout. getColumnMap(tab, id, 'attendance') uses it.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ATTENDANCE_HEADERS = {
+  serial:     'Sr No',
+  date:       'Date',
+  time:       'Time',
+  name:       'Name',
+  number:     'Number',
+  regiNumber: 'Registered Number',
+  course:     'Course',
+  attendance: 'Attendance',
+};
+
+const ATTENDANCE_HEADER_TO_FIELD = {};
+for (const [field, header] of Object.entries(ATTENDANCE_HEADERS)) {
+  ATTENDANCE_HEADER_TO_FIELD[header] = field;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DUPLICATE REVIEW HEADERS — Duplicate_Review tab (report, rewritten by
+//  every scan — handlers/duplicateReportHandler.js). Column order = key order.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DUPLICATE_HEADERS = {
+  pairId:     'Pair ID',
+  confidence: 'Confidence',
+  signals:    'Signals',
+  cgIdA:      'CGID A',
+  nameA:      'Name A',
+  phoneA:     'Phone A',
+  cgIdB:      'CGID B',
+  nameB:      'Name B',
+  phoneB:     'Phone B',
+  firstSeen:  'First Seen',
+  lastSeen:   'Last Seen',
+};
+
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  TRACKED FIELDS — Which fields trigger Firestore sync on sheet edit
 //  Keys are field names (matching what GAS sends in edit.field)
@@ -205,7 +261,8 @@ module.exports = {
     DSR: 'Leads',
     PAID: 'Paid_Users',
     MANUAL_REVIEW: 'Manual_Review',
-    FIREBASE_WHITELIST: 'OnlineAttendence'
+    FIREBASE_WHITELIST: 'OnlineAttendence',
+    DUPLICATE_REVIEW: 'Duplicate_Review',
   },
 
   // ─── WATI (WhatsApp) ──────────────────────────────────────────────────────
@@ -224,17 +281,164 @@ module.exports = {
   // ─── Firebase RTDB (Whitelist only) ───────────────────────────────────────
   FIREBASE: {
     DATABASE_URL: process.env.FIREBASE_DATABASE_URL || '',
-    SECRET: process.env.FIREBASE_SECRET || '',
+    // Local emulator (firebase emulators:start) — firebase-admin reads this env var itself
+    DATABASE_EMULATOR_HOST: process.env.FIREBASE_DATABASE_EMULATOR_HOST || '',
+    EMULATOR_PROJECT_ID: process.env.GCLOUD_PROJECT || 'demo-cosmoguru',
+    // entitlements/{courseId}/{phone} — kept outside whitelist/{phone} so
+    // course access has its own path, apart from the login entry that
+    // addToWhitelist merges into via an RTDB transaction
+    ENTITLEMENTS_PATH: 'entitlements',
+    WHITELIST_PATH: 'whitelist',
+    WHITELIST_AUDIT_PATH: 'whitelistAudit',
+    WHITELIST_LIST_LIMIT: 100,
+  },
+
+  // ─── Course Access Entitlements ───────────────────────────────────────────
+  // accessThreshold: '40%' or a plain number ≤ 100 → percent of finalPrice;
+  // a larger number → rupee amount.
+  ENTITLEMENTS: {
+    DEFAULT_COURSE: 'CGI',   // when the lead has no product
+    PERCENT_MAX: 100,
+  },
+
+  // ─── Phone parsing (utils/helpers.js parsePhone) ──────────────────────────
+  PHONE: {
+    DEFAULT_REGION: process.env.PHONE_DEFAULT_REGION || 'IN',   // numbers without a country code
+    // lead.phoneAliases[].type — other numbers that resolve to the same lead
+    ALIAS_TYPES: ['whatsapp', 'registration', 'payment', 'alternate'],
+  },
+
+  // ─── Masterclass sessions (services/sessionStore.js) ──────────────────────
+  SESSIONS: {
+    MODES: ['online', 'offline'],      // offline = Ahmedabad in-person
+    LOGIN_MODE: 'online',              // CosmoGuru Live logins attend online sessions
+    EARLY_WINDOW_MINUTES: parseInt(process.env.SESSION_EARLY_WINDOW_MINUTES || '30', 10),
+    LATE_GRACE_MINUTES: parseInt(process.env.SESSION_LATE_GRACE_MINUTES || '10', 10),
+    LIST_LIMIT: 50,
+  },
+
+  // ─── Duplicate detection (handlers/duplicateReportHandler.js) ─────────────
+  DUPLICATES: {
+    // Confidence points per signal; a pair's confidence is the sum, capped at 100
+    WEIGHTS: {
+      same_phone:   90,   // same number (phone or alias) on two CGIDs
+      same_regiNo:  50,
+      same_email:   45,
+      same_last10:  40,   // same last 10 digits, different country code
+      similar_name: 25,   // identical full name; less per edit (NAME_MAX_DISTANCE).
+                          // Below MIN_CONFIDENCE: a name alone is never reported
+    },
+    NAME_MAX_DISTANCE: 2,         // levenshtein edits still counted as similar
+    MIN_CONFIDENCE: parseInt(process.env.DUPLICATE_MIN_CONFIDENCE || '40', 10),
+    MAX_BLOCK_SIZE: 500,          // leads sharing one key compared pairwise at most;
+                                  // larger groups are skipped and reported (skippedBlocks)
+  },
+
+  // ─── Lead timeline (handlers/timelineHandler.js) ──────────────────────────
+  TIMELINE: {
+    PAGE_LIMIT: 50,
+    MAX_LIMIT: 200,
+    WATI_PAGE_SIZE: 100,          // messages per WATI page
+    WATI_MAX_PAGES: 3,            // older messages than this are not reached
+    CALL_LOOKBACK_DAYS: 180,      // Smartflo call records window
+  },
+
+  // ─── Lead search (GET leads?view=search) ─────────────────────────────────
+  LEAD_SEARCH: {
+    PAGE_LIMIT: 50,
+    MAX_LIMIT: 200,
+    // query param → lead field; inquiry is a comma list, searched as tags
+    FILTERS: {
+      pipelineStage: { field: 'pipelineStage', op: '==' },
+      agent:         { field: 'agent',         op: '==' },
+      status:        { field: 'status',        op: '==' },
+      source:        { field: 'source',        op: '==' },
+      countryISO:    { field: 'countryISO',    op: '==' },
+      inquiry:       { field: 'inquiryTags',   op: 'array-contains' },
+    },
+    SORT_FIELDS: ['createdAt', 'updatedAt'],
+    // Filter combinations with declared composite indexes (firestore.indexes.json);
+    // any one filter alone is always allowed
+    FILTER_COMBOS: [['pipelineStage', 'agent']],
+  },
+
+  // ─── Engagement score (services/engagementService.js) ─────────────────────
+  ENGAGEMENT: {
+    // Points per signal. Override any subset, e.g.
+    // ENGAGEMENT_WEIGHTS=session_attended:15,keyword_message:1
+    WEIGHTS: {
+      session_attended: 10,
+      form_submission:  5,
+      community_join:   4,
+      flow_reply:       3,
+      keyword_message:  2,
+      ...Object.fromEntries((process.env.ENGAGEMENT_WEIGHTS || '').split(',')
+        .map(pair => pair.split(':'))
+        .filter(([key, value]) => key && isFinite(parseFloat(value)))
+        .map(([key, value]) => [key.trim(), parseFloat(value)])),
+    },
   },
 
   // ─── Firestore (CRM Database) ─────────────────────────────────────────────
   FIRESTORE: {
     COLLECTION: 'leads',
     COUNTERS_DOC: 'system/counters',
+    PENDING_COLLECTION: 'pendingOps',  // durable retry queue (services/pendingQueue.js)
+    DEAD_LETTER_COLLECTION: 'deadLetters',  // exhausted retries (services/deadLetterStore.js)
+    EVENTS_COLLECTION: 'processedEvents',   // webhook idempotency records (services/idempotencyStore.js)
+    EVENT_TTL_MS: 60 * 60 * 1000,           // 1h — expiresAt also drives the Firestore TTL policy
+    EVENT_PROCESSING_LEASE_MS: 5 * 60 * 1000,  // 5m — a 'processing' claim left by a crashed instance frees up after this
+    PHONES_COLLECTION: 'phones',            // phoneNormalized / alias → cgId uniqueness claims
+    LOCKS_COLLECTION: 'phoneLocks',         // cross-instance per-phone leases (lib/phoneLock.js)
+    UNMATCHED_PAYMENTS_COLLECTION: 'unmatchedPayments',  // payments with no lead — reconcile by hand
+    PAYMENTS_SUBCOLLECTION: 'payments',     // leads/{cgId}/payments/{paymentId} — one doc per payment
+    HISTORY_SUBCOLLECTION: 'history',       // leads/{cgId}/history/{eventId} — one doc per event
+    ATTENDANCE_COLLECTION: 'attendance',    // {sessionId}_{cgId|phone} — services/attendanceStore.js
+    SESSIONS_COLLECTION: 'sessions',        // masterclass schedule — services/sessionStore.js
+    DUPLICATES_COLLECTION: 'duplicateReview',  // {cgIdA}__{cgIdB} — services/duplicateReviewStore.js
     ENABLED: process.env.FIRESTORE_ENABLED !== 'false',
     PHASE: parseInt(process.env.FIRESTORE_PHASE || '2', 10)  // 1 = Sheet-first (parallel), 2 = Firestore-first
   },
 
+  // ─── Webhook Authentication (lib/auth.js) ──────────────────────────────────
+  AUTH: {
+    MODE: process.env.WEBHOOK_AUTH_MODE || 'enforce',   // 'enforce' | 'report' (log only)
+    GAS_HMAC_SECRET: process.env.GAS_HMAC_SECRET || '',
+    WATI_WEBHOOK_TOKEN: process.env.WATI_WEBHOOK_TOKEN || '',
+    WATI_ALLOWED_IPS: (process.env.WATI_ALLOWED_IPS || '').split(',').map(s => s.trim()).filter(Boolean),
+    LIVE_API_KEY: process.env.LIVE_API_KEY || '',
+    WEB_FORM_API_KEY: process.env.WEB_FORM_API_KEY || '',
+    ADMIN_API_KEY: process.env.ADMIN_API_KEY || '',
+    GATEWAY_WEBHOOK_SECRET: process.env.GATEWAY_WEBHOOK_SECRET || '',
+    MAX_SKEW_MS: 5 * 60 * 1000,   // gas_hmac timestamp window
+    HEADERS: {
+      SIGNATURE:  'x-cg-signature',
+      TIMESTAMP:  'x-cg-timestamp',
+      API_KEY:    'x-api-key',
+      WATI_TOKEN: 'x-wati-token',
+      GATEWAY_SIGNATURE: 'x-razorpay-signature',
+    },
+  },
+
+  // ─── Payment Gateway (Razorpay-style webhooks) ────────────────────────────
+  GATEWAY: {
+    PROVIDER: process.env.PAYMENT_GATEWAY_PROVIDER || 'fake',   // 'fake' | 'razorpay'
+    KEY_ID: process.env.GATEWAY_KEY_ID || '',
+    KEY_SECRET: process.env.GATEWAY_KEY_SECRET || '',
+    API_BASE_URL: 'https://api.razorpay.com/v1',
+    FAKE_LINK_BASE_URL: 'https://pay.local.test/l',
+    LINK_DEFAULT_EXPIRY_DAYS: 7,         // when the lead has no paymentDeadline
+    LINK_MIN_EXPIRY_MS: 20 * 60 * 1000,  // gateways reject expiries < 15 min out
+    ACCOUNT_LABEL: 'Razorpay',   // receivedAccount on gateway payments
+    SUBUNIT: 100,                // amounts arrive in paise
+    EVENTS: {
+      PAYMENT_CAPTURED: 'payment.captured',
+      PAYMENT_FAILED:   'payment.failed',
+      REFUND_PROCESSED: 'refund.processed',
+      LINK_PAID:        'payment_link.paid',
+    },
+  },
+
   // ─── Smartflo (Calling) ───────────────────────────────────────────────────
   SMARTFLO: {
     API_KEY: process.env.SMARTFLO_API_KEY || '',
@@ -282,6 +486,9 @@ module.exports = {
   colLetter,             // utility: colLetter(3) → 'D'
   FIELD_HEADERS,         // fieldKey → sheet header text
   HEADER_TO_FIELD,       // sheet header text → fieldKey
+  ATTENDANCE_HEADERS,          // OnlineAttendence fieldKey → header text
+  ATTENDANCE_HEADER_TO_FIELD,  // OnlineAttendence header text → fieldKey
+  DUPLICATE_HEADERS,           // Duplicate_Review fieldKey → header text
 
   // ─── Field Sync Mappings ────────────────────────────────────────────────────
   TRACKED_FIELDS,        // fieldName → { firestoreField, historyAction }
@@ -308,6 +515,16 @@ module.exports = {
     SERIAL_OFFSET: 230000,
   },
 
+  // ─── Payments & Installments ──────────────────────────────────────────────
+  PAYMENTS: {
+    FIRST_DUE_DAYS: 7,              // installment 1 due this many days after approval (if no paymentDeadline)
+    INSTALLMENT_INTERVAL_DAYS: 30,  // gap between installment due dates
+    // Deadline scheduler (paymentDeadlines function)
+    REMINDER_OFFSETS_DAYS: (process.env.PAYMENT_REMINDER_OFFSETS || '3,1,0')
+      .split(',').map(s => parseInt(s, 10)).filter(n => n >= 0),   // days before paymentDeadline
+    EXPIRY_ACTION: process.env.PAYMENT_EXPIRY_ACTION || 'flag',      // 'flag' | 'revert' (→ sales_review)
+  },
+
   // ─── Stage Transitions ────────────────────────────────────────────────────
   // Maps: currentStage → [allowed target stages]
   // Any transition not listed here is BLOCKED
@@ -2,22 +2,22 @@
 //  contactHandler.js — Lead Event Orchestrator
 //
 //  Every handler writes to BOTH Firestore and Sheet.
-//  If either fails, the operation is queued for in-memory retry.
+//  If either fails, the operation is queued for durable retry.
 //  writeBoth tracks what succeeded — retries only run the failed part.
 // ============================================================================
 
 const SheetService     = require('../services/sheetsService');
 const FirestoreService = require('../services/firestoreService');
-const WatiService      = require('../services/watiService');
 const FirebaseService  = require('../services/firebaseService');
+const WatiService      = require('../services/watiService');
 const SmartfloService  = require('../services/smartfloService');
 const PendingQueue     = require('../services/pendingQueue');
-const { shouldAssignRobo, deriveSource } = require('../utils/helpers');
+const { shouldAssignRobo, deriveSource, nowISO, normalizePhone } = require('../utils/helpers');
 const { ValidationError, ExternalServiceError, validateRequired, validatePhoneNumber } = require('../lib/errorHandler');
 const config = require('../config');
 
 // Shared write abstraction (was defined locally, now shared with formHandler)
-const { buildWriteBoth, tryWriteOrQueue } = require('../lib/writeBoth');
+const { buildWriteBoth, buildWriteOp, tryWriteOrQueue } = require('../lib/writeBoth');
 
 
 // ═════════════════════════════════════════════════════════════
@@ -157,7 +157,7 @@ async function handleKeywordContact(params) {
 
   const writeFn = buildWriteBoth(leadData, {
     action: 'lead_created', by: 'system', details: { source: leadData.source, keyword: text }
-  });
+  }, 'keyword_message');
   await tryWriteOrQueue(writeFn, `keyword_${phone}_${Date.now()}`, {
     phone, handler: 'handleKeywordContact'
   });
@@ -242,24 +242,16 @@ async function handleCommunityJoin(params) {
   const fsUpdates = { status: newStatus };
   if (assignRobo) { fsUpdates.agent = config.DEFAULTS.ROBO_AGENT; fsUpdates.pipelineStage = config.DEFAULTS.ROBO_AGENT; }
 
-  const customFirestore = async () => {
-    await FirestoreService.updateLead(phone, fsUpdates, {
+  const sheetFields = { status: newStatus };
+  if (assignRobo) sheetFields.team = config.DEFAULTS.ROBO_AGENT;
+
+  const writeFn = buildWriteOp('community_join', {
+    phone, fsUpdates, sheetRow, sheetFields,
+    historyEntry: {
       action: 'community_joined', by: 'system',
       details: { status: newStatus, groupType: currentStatus.includes('Online') ? 'online' : 'ahmedabad' }
-    });
-  };
-
-  const customSheet = async () => {
-    if (sheetRow) {
-      const colMap = await SheetService.getColumnMap(config.SHEETS.DSR);
-      const M = colMap.map;
-      const cellUpdates = { [M.status]: newStatus };
-      if (assignRobo) cellUpdates[M.team] = config.DEFAULTS.ROBO_AGENT;
-      await SheetService.updateContactCells(sheetRow, cellUpdates);
-    }
-  };
-
-  const writeFn = buildWriteBoth(null, null, customFirestore, customSheet);
+    },
+  });
   await tryWriteOrQueue(writeFn, `community_${phone}_${Date.now()}`, {
     phone, handler: 'handleCommunityJoin'
   });
@@ -269,8 +261,30 @@ async function handleCommunityJoin(params) {
 
 
 // ═════════════════════════════════════════════════════════════
-//  HANDLE REGISTRATION CHECK (unchanged — no lead create/update)
+//  HANDLE REGISTRATION CHECK (no lead create/update)
 // ═════════════════════════════════════════════════════════════
+
+/**
+ * Numbers this WhatsApp user may be whitelisted under, most likely first:
+ * the lead's registration number (form_submission whitelists the form
+ * number, which can differ from the WhatsApp one), its registration
+ * aliases, then the WhatsApp number itself.
+ */
+async function _registrationCandidates(waId) {
+  let lead = null;
+  try {
+    lead = await FirestoreService.findLeadByPhone(waId);
+  } catch (err) {
+    console.error(`[Registration] Lead lookup failed for ${waId}: ${err.message}`);
+  }
+  const data = lead?.data || {};
+  const aliases = (data.phoneAliases || []).filter(a => a.type === 'registration').map(a => a.phone);
+  const numbers = [data.regiNo, ...aliases, waId]
+    .map(n => normalizePhone(n))
+    .filter(n => n && n.length >= 10);
+  return { lead, numbers: [...new Set(numbers)] };
+}
+
 async function handleRegistrationCheck(params) {
   try {
     const waId = validatePhoneNumber(params.waId, { source: 'handleRegistrationCheck' });
@@ -278,7 +292,15 @@ async function handleRegistrationCheck(params) {
 
     console.log(`Registration check for: ${waId}`);
 
-    const registeredNumber = await SheetService.checkFirebaseWhitelist(waId);
+    // The RTDB whitelist is what CosmoGuru Live checks at login — ask it directly,
+    // under every number the lead registered with
+    const { lead, numbers } = await _registrationCandidates(waId);
+    let entry = null;
+    for (const number of numbers) {
+      entry = await FirebaseService.getWhitelistEntry(number);
+      if (entry) break;
+    }
+    const registeredNumber = entry ? entry.phone.replace(/^\+/, '') : null;
 
     if (registeredNumber) {
       console.log(`${waId} already whitelisted with registered number: ${registeredNumber}`);
@@ -289,19 +311,22 @@ async function handleRegistrationCheck(params) {
       return { message: 'already_whitelisted', registeredNumber };
     }
 
-    console.log(`${waId} not whitelisted – adding now`);
+    // A registered lead is whitelisted under its registration number, as
+    // form_submission would have done
+    const registerAs = numbers[0];
+    console.log(`${waId} not whitelisted – adding ${registerAs} now`);
 
-    const whitelistFn = async () => {
-      await FirebaseService.addToWhitelist(waId, senderName || waId, 'self_registration');
-    };
+    const whitelistFn = buildWriteOp('whitelist_add', {
+      phone: registerAs, name: senderName || lead?.data?.name || registerAs, source: 'self_registration',
+    });
 
     let whitelistSuccess = false;
     try {
       await whitelistFn();
       whitelistSuccess = true;
     } catch (fbError) {
-      PendingQueue.enqueue(`whitelist_${waId}_${Date.now()}`, whitelistFn, {
-        phone: waId, handler: 'handleRegistrationCheck_whitelist'
+      await PendingQueue.enqueue(`whitelist_${registerAs}_${Date.now()}`, whitelistFn.descriptor, {
+        phone: registerAs, handler: 'handleRegistrationCheck_whitelist'
       });
       console.error(`[Registration] Whitelist failed, queued for retry: ${fbError.message}`);
     }
@@ -309,15 +334,15 @@ async function handleRegistrationCheck(params) {
     if (whitelistSuccess) {
       await WatiService.sendSessionMessage(
         waId,
-        `You were not registered in our system,\nbut we have registered you right now *${waId}*.\n\n*You are now Registered! ✓*`
+        `You were not registered in our system,\nbut we have registered you right now *${registerAs}*.\n\n*You are now Registered! ✓*`
       );
-      return { message: 'newly_whitelisted', registeredNumber: waId };
+      return { message: 'newly_whitelisted', registeredNumber: registerAs };
     } else {
       await WatiService.sendSessionMessage(
         waId,
         `We are processing your registration. Please try again in a few minutes.`
       );
-      return { message: 'whitelist_queued', registeredNumber: waId };
+      return { message: 'whitelist_queued', registeredNumber: registerAs };
     }
 
   } catch (error) {
@@ -328,24 +353,27 @@ async function handleRegistrationCheck(params) {
 
 
 // ═════════════════════════════════════════════════════════════
-//  HANDLE USER LOGIN (unchanged — different sheet, attendance only)
+//  HANDLE USER LOGIN — one attendance record per session + lead
+//  (Firestore); the OnlineAttendence Attendance column is re-rendered from them
 // ═════════════════════════════════════════════════════════════
 async function handleUserLogin(params) {
-  try {
-    console.log('User login event received from CosmoGuru Live');
-    const phone = params.data?.phone || '';
-    const name  = params.data?.name || '';
-    const loginTimestamp = params.data?.loginTimestamp || '';
-
-    const phoneNumber = validatePhoneNumber(phone, { source: 'handleUserLogin' });
-    const result = await SheetService.updateAttendance(phoneNumber, name, loginTimestamp);
+  console.log('User login event received from CosmoGuru Live');
+  const phone = params.data?.phone || '';
+  const name  = params.data?.name || '';
+  const loginAt = params.data?.loginTimestamp || nowISO();
+
+  const phoneNumber = validatePhoneNumber(phone, { source: 'handleUserLogin' });
+  if (isNaN(new Date(loginAt).getTime())) {
+    throw new ValidationError(`Invalid loginTimestamp: ${loginAt}`, { source: 'handleUserLogin' });
+  }
 
-    return { status: 'success', message: 'Attendance updated', ...result };
+  const writeFn = buildWriteOp('attendance_record', { phone: phoneNumber, name, loginAt });
+  await tryWriteOrQueue(writeFn, `attendance_${phoneNumber}_${Date.now()}`, {
+    phone: phoneNumber, handler: 'handleUserLogin'
+  });
 
-  } catch (error) {
-    if (error instanceof ValidationError) throw error;
-    throw new ExternalServiceError(error.message, 'Attendance', { handler: 'handleUserLogin' });
-  }
+  const { sessionId, cgId } = writeFn.descriptor.state;
+  return { status: 'success', message: 'Attendance updated', sessionId: sessionId || '', cgId: cgId || '' };
 }
 
 
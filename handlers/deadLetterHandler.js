@@ -0,0 +1,148 @@
+// ============================================================================
+//  handlers/deadLetterHandler.js — Dead-Letter Inspection & Replay
+//
+//  Backs the `deadLetters` HTTP function (index.js):
+//    GET  ?handler=&limit=&cursor=          → list (newest first)
+//    GET  ?id=<operationId>                 → full entry incl. payload
+//    POST { action: 'replay',  ids: [...] } → re-run through the same write op
+//    POST { action: 'discard', ids: [...] } → delete
+//
+//  Replay runs the stored { op, payload, state } descriptor through
+//  writeBoth.runWrite — the same path PendingQueue uses — so the half that
+//  already succeeded is skipped.
+// ============================================================================
+
+const DeadLetterStore = require('../services/deadLetterStore');
+const { runWrite }    = require('../lib/writeBoth');
+const { AppError, ValidationError, NotFoundError } = require('../lib/errorHandler');
+
+const LOG_PREFIX = '[DeadLetter]';
+const MAX_IDS_PER_REQUEST = 50;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Cursor: base64url JSON of the store's [diedAt, operationId] pair
+function _encodeCursor(cursor) {
+  return cursor ? Buffer.from(JSON.stringify(cursor)).toString('base64url') : null;
+}
+
+function _decodeCursor(cursor) {
+  if (!cursor) return undefined;
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2) throw new ValidationError(`Bad cursor: ${cursor}`);
+  return decoded;
+}
+
+async function listDeadLetters(query) {
+  const page = await DeadLetterStore.list({
+    limit:      query.limit,
+    handler:    query.handler,
+    startAfter: _decodeCursor(query.cursor),
+  });
+  return { items: page.items, nextCursor: _encodeCursor(page.nextCursor) };
+}
+
+async function getDeadLetter(query) {
+  const entry = await DeadLetterStore.get(query.id);
+  if (!entry) throw new NotFoundError(`Dead letter not found: ${query.id}`, { id: query.id });
+  return { item: entry };
+}
+
+async function replayDeadLetters(body) {
+  const ids = _idsFromBody(body);
+  const results = [];
+
+  for (const id of ids) {
+    const entry = await DeadLetterStore.get(id);
+    if (!entry) {
+      results.push({ id, status: 'not_found' });
+      continue;
+    }
+
+    const descriptor = { op: entry.op, payload: entry.payload, state: entry.state || {} };
+    try {
+      await runWrite(descriptor);
+      await DeadLetterStore.remove(id);
+      console.log(`${LOG_PREFIX} ✅ Replayed: ${id}`);
+      results.push({ id, status: 'replayed' });
+    } catch (err) {
+      await DeadLetterStore.recordReplayFailure(id, descriptor.state, err.message);
+      console.warn(`${LOG_PREFIX} ❌ Replay failed: ${id} — ${err.message}`);
+      results.push({ id, status: 'failed', error: err.message });
+    }
+  }
+
+  return {
+    replayed: results.filter(r => r.status === 'replayed').length,
+    failed:   results.filter(r => r.status === 'failed').length,
+    results,
+  };
+}
+
+async function discardDeadLetters(body) {
+  const ids = _idsFromBody(body);
+  for (const id of ids) {
+    await DeadLetterStore.remove(id);
+  }
+  return { discarded: ids.length, ids };
+}
+
+
+function _idsFromBody(body) {
+  const ids = Array.isArray(body.ids) ? body.ids : (body.id ? [body.id] : []);
+  if (ids.length === 0) {
+    throw new ValidationError('Provide "id" or a non-empty "ids" array');
+  }
+  if (ids.length > MAX_IDS_PER_REQUEST) {
+    throw new ValidationError(`At most ${MAX_IDS_PER_REQUEST} ids per request`, { count: ids.length });
+  }
+  return ids;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISPATCH — object-based, same idea as lib/router.js
+// ═══════════════════════════════════════════════════════════════════════════
+
+const POST_ACTIONS = {
+  replay:  replayDeadLetters,
+  discard: discardDeadLetters,
+};
+
+/**
+ * @param {string} method - HTTP method
+ * @param {Object} query  - req.query
+ * @param {Object} body   - req.body
+ */
+async function handleDeadLetterRequest(method, query, body) {
+  if (method === 'GET') {
+    return query.id ? getDeadLetter(query) : listDeadLetters(query);
+  }
+
+  if (method === 'POST') {
+    const action = POST_ACTIONS[body.action];
+    if (!action) {
+      throw new ValidationError(`Unknown action: ${body.action}`, { allowed: Object.keys(POST_ACTIONS) });
+    }
+    return action(body);
+  }
+
+  throw new AppError('Method not allowed', 405, { method });
+}
+
+
+module.exports = {
+  handleDeadLetterRequest,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetters,
+  discardDeadLetters,
+};
@@ -0,0 +1,218 @@
+// ============================================================================
+//  handlers/duplicateReportHandler.js — Likely-Duplicate Lead Report
+//
+//  Backs POST { action: 'scanDuplicates', dryRun? } on the `leads` function
+//  (Cloud Scheduler, e.g. nightly). Exact phone matching stops most
+//  duplicates at createLead; this scan catches the rest by scoring lead
+//  pairs on config.DUPLICATES.WEIGHTS signals:
+//
+//    same_phone    — a number (phone or alias) on two CGIDs
+//    same_regiNo   — same registration number
+//    same_email    — same email (case-insensitive)
+//    same_last10   — same last 10 digits under different country codes
+//    similar_name  — full names within NAME_MAX_DISTANCE edits (levenshtein);
+//                    two-word names or longer only. Weighted below
+//                    MIN_CONFIDENCE, so it only counts with another signal
+//
+//  Leads are grouped by each key and only leads sharing a key are compared
+//  (names by the first three letters of their first and last words), so
+//  the scan stays well short of n² comparisons. Groups over MAX_BLOCK_SIZE
+//  are skipped and listed in skippedBlocks. Pairs at MIN_CONFIDENCE or above go to the
+//  duplicateReview collection and the Duplicate_Review sheet tab;
+//  dismissed and merged pairs are never reported again.
+// ============================================================================
+
+const FirestoreService     = require('../services/firestoreService');
+const SheetService         = require('../services/sheetsService');
+const DuplicateReviewStore = require('../services/duplicateReviewStore');
+const config               = require('../config');
+const { parsePhone, getLastTenDigits, levenshtein, formatDate } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Duplicates]';
+const D = config.DUPLICATES;
+
+const LEAD_FIELDS = [
+  'cgId', 'name', 'phone', 'phoneNormalized', 'countryCode', 'aliasPhones',
+  'regiNo', 'email', 'mergedInto',
+];
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  KEYS — pure: lead → the values it is grouped by
+// ═══════════════════════════════════════════════════════════════════════════
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Grouping keys for one lead, per signal. Names group by the first three
+ * letters of the first and last words — a bare first-name prefix ('rah')
+ * makes groups too big to compare; the name signal itself is decided by
+ * levenshtein.
+ * @returns {{ same_phone: string[], same_regiNo: string[], same_email: string[],
+ *             same_last10: string[], similar_name: string[] }}
+ */
+function keysFor(lead) {
+  const phones = [lead.phoneNormalized, ...(lead.aliasPhones || [])].filter(Boolean);
+  const regi = lead.regiNo ? (parsePhone(lead.regiNo)?.digits || String(lead.regiNo).replace(/\D/g, '')) : '';
+  const email = String(lead.email || '').trim().toLowerCase();
+  const name = normalizeName(lead.name);
+  const words = name.split(' ');
+
+  return {
+    same_phone:   phones,
+    same_regiNo:  regi.length >= 10 ? [regi] : [],
+    same_email:   email.includes('@') ? [email] : [],
+    same_last10:  lead.phoneNormalized ? [getLastTenDigits(lead.phoneNormalized)] : [],
+    similar_name: words.length >= 2 ? [`${words[0].slice(0, 3)} ${words[words.length - 1].slice(0, 3)}`] : [],
+  };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SIGNALS — pure: two leads sharing a key → points, or null
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SIGNALS = {
+  same_phone:   (a, b, key) => ({ points: D.WEIGHTS.same_phone, detail: key }),
+  same_regiNo:  (a, b, key) => ({ points: D.WEIGHTS.same_regiNo, detail: key }),
+  same_email:   (a, b, key) => ({ points: D.WEIGHTS.same_email, detail: key }),
+  same_last10:  (a, b, key) => {
+    if (String(a.countryCode || '') === String(b.countryCode || '')) return null;  // same number → same_phone
+    return { points: D.WEIGHTS.same_last10, detail: `${a.phoneNormalized} / ${b.phoneNormalized}` };
+  },
+  similar_name: (a, b) => {
+    const distance = levenshtein(normalizeName(a.name), normalizeName(b.name));
+    if (distance > D.NAME_MAX_DISTANCE) return null;
+    const points = Math.round(D.WEIGHTS.similar_name * (1 - distance / (D.NAME_MAX_DISTANCE + 1)));
+    return { points, detail: distance === 0 ? a.name : `${a.name} / ${b.name} (${distance})` };
+  },
+};
+
+/**
+ * Score every pair of leads that share a key.
+ *
+ * @param {Object[]} leads - lead doc data (merged leads already removed)
+ * @param {Set<string>} [closed] - pairIds not to report (dismissed / merged)
+ * @returns {{ pairs: Object[], skippedBlocks: Array<{ signal, key, size }> }}
+ *   pairs at MIN_CONFIDENCE or above, confidence descending
+ */
+function findPairs(leads, closed = new Set()) {
+  const blocks = {};  // signal → key → [lead index]
+  leads.forEach((lead, i) => {
+    for (const [signal, keys] of Object.entries(keysFor(lead))) {
+      blocks[signal] = blocks[signal] || new Map();
+      for (const key of new Set(keys)) {
+        if (!blocks[signal].has(key)) blocks[signal].set(key, []);
+        blocks[signal].get(key).push(i);
+      }
+    }
+  });
+
+  const scored = new Map();  // pairId → { a, b, signals }
+  const skippedBlocks = [];
+
+  for (const [signal, byKey] of Object.entries(blocks)) {
+    for (const [key, members] of byKey) {
+      if (members.length < 2) continue;
+      if (members.length > D.MAX_BLOCK_SIZE) {
+        skippedBlocks.push({ signal, key, size: members.length });
+        continue;
+      }
+
+      for (let x = 0; x < members.length; x++) {
+        for (let y = x + 1; y < members.length; y++) {
+          const a = leads[members[x]];
+          const b = leads[members[y]];
+          const pairId = DuplicateReviewStore.pairIdFor(a.cgId, b.cgId);
+          if (closed.has(pairId)) continue;
+
+          const hit = SIGNALS[signal](a, b, key);
+          if (!hit) continue;
+
+          if (!scored.has(pairId)) scored.set(pairId, { a, b, signals: [] });
+          const entry = scored.get(pairId);
+          if (!entry.signals.some(s => s.signal === signal)) entry.signals.push({ signal, ...hit });
+        }
+      }
+    }
+  }
+
+  const pairs = [...scored.entries()]
+    .map(([pairId, { a, b, signals }]) => {
+      const [first, second] = a.cgId < b.cgId ? [a, b] : [b, a];
+      return {
+        pairId,
+        cgIds: [first.cgId, second.cgId],
+        confidence: Math.min(100, signals.reduce((sum, s) => sum + s.points, 0)),
+        signals,
+        leads: [first, second].map(l => ({ cgId: l.cgId, name: l.name || '', phone: l.phoneNormalized || '' })),
+      };
+    })
+    .filter(p => p.confidence >= D.MIN_CONFIDENCE)
+    .sort((p, q) => q.confidence - p.confidence);
+
+  return { pairs, skippedBlocks };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════
+
+function _sheetRow(pair) {
+  const [a, b] = pair.leads;
+  return {
+    pairId:     pair.pairId,
+    confidence: pair.confidence,
+    signals:    pair.signals.map(s => `${s.signal} (${s.detail})`).join('; '),
+    cgIdA: a.cgId, nameA: a.name, phoneA: a.phone,
+    cgIdB: b.cgId, nameB: b.name, phoneB: b.phone,
+    firstSeen:  formatDate(pair.firstSeenAt),
+    lastSeen:   formatDate(pair.lastSeenAt),
+  };
+}
+
+/**
+ * Score all leads for likely duplicates and publish the open pairs.
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ scanned: number, pairs: number, resolved?: number, dryRun: boolean,
+ *   skippedBlocks: Array, items: Object[] }>}
+ */
+async function runDuplicateScan({ dryRun = false } = {}) {
+  const [rows, closed] = await Promise.all([
+    FirestoreService.findAllLeads(LEAD_FIELDS),
+    DuplicateReviewStore.closedPairIds(),
+  ]);
+  const leads = rows
+    .map(({ docId, data }) => ({ ...data, cgId: data.cgId || docId }))
+    .filter(lead => !lead.mergedInto);
+  console.log(`${LOG_PREFIX} Scanning ${leads.length} leads${dryRun ? ' (dry run)' : ''}`);
+
+  const { pairs, skippedBlocks } = findPairs(leads, closed);
+  skippedBlocks.forEach(b =>
+    console.warn(`${LOG_PREFIX} ${b.signal} '${b.key}' shared by ${b.size} leads — not compared`));
+
+  if (dryRun) {
+    return { scanned: leads.length, pairs: pairs.length, dryRun, skippedBlocks, items: pairs };
+  }
+
+  const { items, resolved } = await DuplicateReviewStore.replaceOpenPairs(pairs);
+  await SheetService.writeDuplicateReport(items.map(_sheetRow));
+
+  console.log(`${LOG_PREFIX} Done: ${items.length} open pair(s), ${resolved} resolved` +
+    (skippedBlocks.length ? `, ${skippedBlocks.length} group(s) too large to compare` : ''));
+  return { scanned: leads.length, pairs: items.length, resolved, dryRun, skippedBlocks, items };
+}
+
+
+module.exports = {
+  runDuplicateScan,
+  findPairs,
+  keysFor,
+};
@@ -1,20 +1,22 @@
 // ============================================================================
 //  formHandler.js — WhatsApp Form Submission Orchestrator
 //
-//  Uses shared buildWriteBoth from lib/writeBoth.js.
-//  Custom writes for Firebase whitelist + Firestore + Sheet.
+//  Uses shared buildWriteOp from lib/writeBoth.js.
+//  Custom 'form_submission' write op for Firebase whitelist + Firestore + Sheet.
 //  WATI confirmation is the only non-transactional side-effect.
 // ============================================================================
 
-const SheetService     = require('../services/sheetsService');
-const FirestoreService = require('../services/firestoreService');
 const WatiService      = require('../services/watiService');
-const FirebaseService  = require('../services/firebaseService');
+const SessionStore     = require('../services/sessionStore');
 const config           = require('../config');
-const { buildWriteBoth, tryWriteOrQueue } = require('../lib/writeBoth');
+const { buildWriteOp, tryWriteOrQueue } = require('../lib/writeBoth');
 
 
-async function handleFormSubmission(params) {
+/**
+ * @param {Object} params - { wa_num, name, option, form_num }
+ * @param {string} [signal] - engagement signal: 'form_submission' | 'flow_reply'
+ */
+async function handleFormSubmission(params, signal = 'form_submission') {
   const phone   = params.wa_num || '';
   const name    = params.name || '';
   const option  = params.option || '';
@@ -26,57 +28,24 @@ async function handleFormSubmission(params) {
 
   const whitelistPhone = formNum || phone;
 
-  // Shared across firestore + sheet closures so the actual CGID flows from
-  // the Firestore write into the Sheet write (instead of a row-1 formula).
-  let cgId = null;
-
-  // Custom Firestore write (whitelist + lead in one closure)
-  const customFirestoreWrite = async () => {
-    const errors = [];
-
-    // Firebase RTDB whitelist (CRITICAL — user can't login without this)
-    try {
-      if (whitelistPhone && name) {
-        await FirebaseService.addToWhitelist(whitelistPhone, name, 'whatsapp_form');
-      }
-    } catch (e) { errors.push(`whitelist: ${e.message}`); }
-
-    // Firestore lead record
-    try {
-      const result = await FirestoreService.createOrUpdateLead({
-        phone, name, regiNo: formNum, status: statusValue, inquiry: config.DEFAULTS.INQUIRY,
-      }, {
-        action: 'form_submitted', by: 'system',
-        details: { formNum, option, statusValue }
-      });
-      if (result?.cgId) cgId = result.cgId;
-    } catch (e) { errors.push(`firestore: ${e.message}`); }
-
-    if (errors.length) throw new Error(errors.join('; '));
-  };
-
-  // Custom Sheet write (upsert + cell updates)
-  const customSheetWrite = async () => {
-    const upsertResult = await SheetService.upsertContact({
-      phone, name, cgId, source: 'WhatsApp',
-      remark: `Form submitted: ${option}`, inquiry: config.DEFAULTS.INQUIRY,
-    });
-    const colMap = await SheetService.getColumnMap(config.SHEETS.DSR);
-    const M = colMap.map;
-    await SheetService.updateContactCells(upsertResult.row, {
-      [M.name]:    name,
-      [M.status]:  statusValue,
-    });
-    return upsertResult;
-  };
-
-  const writeFn = buildWriteBoth(null, null, customFirestoreWrite, customSheetWrite);
+  // The write itself (whitelist + lead, then Sheet upsert) lives in
+  // lib/writeOps.js as 'form_submission' so it can be replayed from the
+  // durable queue. The CGID flows from the Firestore half into the Sheet
+  // half via the op state (instead of a row-1 formula).
+  const writeFn = buildWriteOp('form_submission', {
+    phone, name, formNum, option, statusValue, whitelistPhone, signal,
+  });
   await tryWriteOrQueue(writeFn, `form_${phone}_${Date.now()}`, {
     phone, handler: 'handleFormSubmission'
   });
 
-  // WATI confirmation (only true side-effect — fire-and-forget)
-  WatiService.sendRegistrationConfirmation(params)
+  // WATI confirmation (only true side-effect — fire-and-forget).
+  // Template + group link come from the next session of the chosen mode;
+  // a failed session lookup still sends, with the config fallbacks.
+  const mode = option === config.FORM_OPTIONS.OFFLINE_OPTION ? 'offline' : 'online';
+  SessionStore.findUpcomingSession(mode)
+    .catch(e => { console.error(`[WATI] session lookup: ${e.message}`); return null; })
+    .then(session => WatiService.sendRegistrationConfirmation(params, session))
     .catch(e => console.error(`[WATI] confirmation: ${e.message}`));
 
   return { status: 'form_update_success' };
@@ -96,7 +65,7 @@ async function handleFlowReply(params) {
     if (!formData) throw new Error('Required form data not found');
 
     console.log(`Extracted: ${JSON.stringify(formData)}`);
-    return await handleFormSubmission(formData);
+    return await handleFormSubmission(formData, 'flow_reply');
   } catch (error) {
     console.error(`Flow reply error: ${error.message}`);
     throw error;
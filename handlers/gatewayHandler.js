@@ -0,0 +1,222 @@
+// ============================================================================
+//  handlers/gatewayHandler.js — Payment Gateway Webhooks (Razorpay-style)
+//
+//  Events (config.GATEWAY.EVENTS):
+//    payment.captured / payment_link.paid → 'payment_record' (ledger entry)
+//    refund.processed                     → 'refund_record'  (negative entry)
+//    payment.failed                       → 'lead_history'   (no money moved)
+//
+//  Lead matching, first hit wins:
+//    1. notes.cgId on the payment / link / refund
+//    2. payment-link id we issued (lead.paymentLinkId)
+//    3. payer phone (entity.contact)
+//  Unmatched captures/refunds go to Manual_Review like Payment_Received.
+//
+//  A link payment fires both payment.captured and payment_link.paid; the
+//  ledger doc id is the gateway payment id, so it is only counted once.
+// ============================================================================
+
+const FirestoreService = require('../services/firestoreService');
+const config           = require('../config');
+const { ExternalServiceError } = require('../lib/errorHandler');
+const { buildWriteOp, tryWriteOrQueue } = require('../lib/writeBoth');
+
+const LOG_PREFIX = '[Gateway]';
+const EVENTS = config.GATEWAY.EVENTS;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PAYLOAD HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function entityOf(params, name) {
+  return params.payload?.[name]?.entity || null;
+}
+
+// Gateways send notes as {} — or [] when empty
+function notesOf(entity) {
+  return entity && entity.notes && !Array.isArray(entity.notes) ? entity.notes : {};
+}
+
+function toAmount(subunits) {
+  return Math.round(Number(subunits || 0)) / config.GATEWAY.SUBUNIT;
+}
+
+function toISO(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : new Date().toISOString();
+}
+
+/**
+ * Match a gateway event to a lead: CGID note → payment link → phone.
+ * @returns {Promise<{ lead: Object, matchedBy: string }|null>}
+ */
+async function resolveLead(params) {
+  const payment = entityOf(params, 'payment');
+  const link    = entityOf(params, 'payment_link');
+  const refund  = entityOf(params, 'refund');
+
+  const notes = { ...notesOf(payment), ...notesOf(link), ...notesOf(refund) };
+  const cgId = notes.cgId || notes.cg_id;
+  if (cgId) {
+    const lead = await FirestoreService.findLeadByCgId(cgId);
+    if (lead) return { lead, matchedBy: 'cgId' };
+  }
+
+  const linkId = link?.id || notes.paymentLinkId;
+  if (linkId) {
+    const lead = await FirestoreService.findLeadByPaymentLinkId(linkId);
+    if (lead) return { lead, matchedBy: 'payment_link' };
+  }
+
+  const phone = payment?.contact || link?.customer?.contact;
+  if (phone) {
+    const lead = await FirestoreService.findLeadByPhone(phone);
+    if (lead) return { lead, matchedBy: 'phone' };
+  }
+
+  return null;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  EVENT HANDLERS — each: async (params, match) => result
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function onPaymentCaptured(params, match) {
+  const entity = entityOf(params, 'payment');
+  if (!entity) return { status: 'ignored', reason: 'no_payment_entity' };
+
+  const payment = {
+    amount:    toAmount(entity.amount),
+    mode:      entity.method || '',
+    reference: entity.id,
+    paidAt:    toISO(entity.created_at),
+    account:   config.GATEWAY.ACCOUNT_LABEL,
+  };
+
+  if (!match) {
+    console.log(`${LOG_PREFIX} ${entity.id} matched no lead - manual review required`);
+    const writeFn = buildWriteOp('payment_unmatched', {
+      payment: { ...payment, phone: entity.contact || '', reason: `Gateway ${params.event}: no lead matched` },
+    });
+    await tryWriteOrQueue(writeFn, `payment_unmatched_${entity.id}`, {
+      phone: entity.contact || '', handler: 'handleGatewayEvent_unmatched'
+    });
+    return { status: 'manual_review_required', paymentId: entity.id };
+  }
+
+  const { lead } = match;
+  const writeFn = buildWriteOp('payment_record', {
+    phone: lead.data.phone, payment, by: 'gateway', source: 'gateway', payerPhone: entity.contact || '',
+  });
+  await tryWriteOrQueue(writeFn, `payment_${lead.data.cgId}_${entity.id}`, {
+    phone: lead.data.phone, cgId: lead.data.cgId, handler: 'handleGatewayEvent'
+  });
+  return { status: 'payment_processed', cgId: lead.data.cgId, paymentId: entity.id, matchedBy: match.matchedBy };
+}
+
+async function onRefundProcessed(params, match) {
+  const entity = entityOf(params, 'refund');
+  if (!entity) return { status: 'ignored', reason: 'no_refund_entity' };
+
+  const refund = {
+    amount:     toAmount(entity.amount),
+    refundId:   entity.id,
+    paymentRef: entity.payment_id || '',
+    refundedAt: toISO(entity.created_at),
+  };
+
+  if (!match) {
+    const phone = entityOf(params, 'payment')?.contact || '';
+    console.log(`${LOG_PREFIX} Refund ${entity.id} matched no lead - manual review required`);
+    const writeFn = buildWriteOp('payment_unmatched', {
+      payment: {
+        phone, amount: -refund.amount, mode: 'refund', reference: entity.id,
+        paidAt: refund.refundedAt, account: config.GATEWAY.ACCOUNT_LABEL,
+        reason: `Gateway refund of ${refund.paymentRef}: no lead matched`,
+      },
+    });
+    await tryWriteOrQueue(writeFn, `payment_unmatched_${entity.id}`, {
+      phone, handler: 'handleGatewayEvent_unmatched'
+    });
+    return { status: 'manual_review_required', refundId: entity.id };
+  }
+
+  const { lead } = match;
+  const writeFn = buildWriteOp('refund_record', {
+    phone: lead.data.phone, refund, by: 'gateway', source: 'gateway',
+  });
+  await tryWriteOrQueue(writeFn, `refund_${lead.data.cgId}_${entity.id}`, {
+    phone: lead.data.phone, cgId: lead.data.cgId, handler: 'handleGatewayEvent'
+  });
+  return { status: 'refund_processed', cgId: lead.data.cgId, refundId: entity.id, matchedBy: match.matchedBy };
+}
+
+async function onPaymentFailed(params, match) {
+  const entity = entityOf(params, 'payment');
+  if (!entity) return { status: 'ignored', reason: 'no_payment_entity' };
+
+  if (!match) {
+    console.log(`${LOG_PREFIX} Failed payment ${entity.id} matched no lead — ignored`);
+    return { status: 'ignored', reason: 'no_lead', paymentId: entity.id };
+  }
+
+  const { lead } = match;
+  const writeFn = buildWriteOp('lead_history', {
+    phone: lead.data.phone,
+    action: 'payment_failed',
+    by: 'gateway',
+    details: {
+      paymentId: entity.id,
+      amount:    toAmount(entity.amount),
+      mode:      entity.method || '',
+      errorCode: entity.error_code || '',
+      reason:    (entity.error_description || '').substring(0, 200),
+    },
+  });
+  await tryWriteOrQueue(writeFn, `payment_failed_${entity.id}`, {
+    phone: lead.data.phone, cgId: lead.data.cgId, handler: 'handleGatewayEvent'
+  });
+  return { status: 'payment_failed_logged', cgId: lead.data.cgId, paymentId: entity.id };
+}
+
+const EVENT_HANDLERS = {
+  [EVENTS.PAYMENT_CAPTURED]: onPaymentCaptured,
+  [EVENTS.LINK_PAID]:        onPaymentCaptured,
+  [EVENTS.REFUND_PROCESSED]: onRefundProcessed,
+  [EVENTS.PAYMENT_FAILED]:   onPaymentFailed,
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a webhook body is a gateway event this handler understands.
+ */
+function isGatewayEvent(params) {
+  return params?.entity === 'event' && !!EVENT_HANDLERS[params.event];
+}
+
+async function handleGatewayEvent(params) {
+  const handler = EVENT_HANDLERS[params.event];
+  if (!handler) return { status: 'ignored', reason: `unsupported_event:${params.event}` };
+
+  try {
+    const match = await resolveLead(params);
+    if (match) {
+      console.log(`${LOG_PREFIX} ${params.event} → ${match.lead.data.cgId} (by ${match.matchedBy})`);
+    }
+    return await handler(params, match);
+  } catch (error) {
+    console.error(`${LOG_PREFIX} Error: ${error.message}`);
+    throw new ExternalServiceError(error.message, 'Gateway', { handler: 'handleGatewayEvent', event: params.event });
+  }
+}
+
+
+module.exports = {
+  handleGatewayEvent,
+  isGatewayEvent,
+};
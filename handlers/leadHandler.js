@@ -0,0 +1,235 @@
+// ============================================================================
+//  handlers/leadHandler.js — Lead Admin
+//
+//  Backs the `leads` HTTP function (index.js):
+//    GET  ?view=search&pipelineStage=&agent=&status=&source=&inquiry=&countryISO=
+//         &createdFrom=&createdTo=&q=&sort=createdAt|updatedAt&order=&limit=&cursor=
+//         → filtered lead list; q is a name prefix, or a phone prefix when
+//           it is all digits
+//    GET  ?cgId=<id>|phone=<num>&view=history&limit=&cursor=&action=&order=
+//         → the lead's history events, newest first (order=asc for oldest)
+//    POST { action: 'merge', cgIds: [a, b], survivorCgId?, by, dryRun? }
+//         → merge two duplicate leads (services/leadMergeService.js).
+//           Survivor: survivorCgId, else the lead with payments, else the
+//           older one. dryRun returns the plan without writing.
+//    POST { action: 'scanDuplicates', dryRun? }
+//         → likely-duplicate report (handlers/duplicateReportHandler.js),
+//           run by Cloud Scheduler
+//    POST { action: 'dismissDuplicate', pairId, by }
+//         → not duplicates; the pair is never reported again
+// ============================================================================
+
+const FirestoreService = require('../services/firestoreService');
+const LeadMergeService = require('../services/leadMergeService');
+const DuplicateReviewStore = require('../services/duplicateReviewStore');
+const { runDuplicateScan } = require('./duplicateReportHandler');
+const { buildWriteOp, tryWriteOrQueue } = require('../lib/writeBoth');
+const { AppError, ValidationError, NotFoundError } = require('../lib/errorHandler');
+const config = require('../config');
+
+const LOG_PREFIX = '[Leads]';
+const SEARCH = config.LEAD_SEARCH;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  READS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Lead for ?cgId= or ?phone= (aliases and merges resolve like everywhere else).
+ */
+async function _resolveLead(query) {
+  if (!query.cgId && !query.phone) throw new ValidationError('Missing query: cgId or phone');
+  const lead = query.cgId
+    ? await FirestoreService.findLeadByCgId(query.cgId)
+    : await FirestoreService.findLeadByPhone(query.phone);
+  if (!lead) {
+    throw new NotFoundError(`Lead not found: ${query.cgId || query.phone}`, { cgId: query.cgId, phone: query.phone });
+  }
+  return lead;
+}
+
+async function getHistory(query) {
+  const lead = await _resolveLead(query);
+  const page = await FirestoreService.listHistory(lead.docId, {
+    limit: query.limit, startAfter: query.cursor, action: query.action, order: query.order,
+  });
+  return { cgId: lead.data.cgId, ...page };
+}
+
+/**
+ * ISO bound for a created-date filter. A date-only value ('YYYY-MM-DD')
+ * covers the whole IST day.
+ */
+function _dateBound(value, name, endOfDay) {
+  const raw = String(value).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+    ? new Date(`${raw}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`)
+    : new Date(raw);
+  if (isNaN(d.getTime())) throw new ValidationError(`${name} is not a date: ${value}`);
+  return d.toISOString();
+}
+
+function _encodeCursor(cursor) {
+  return cursor ? Buffer.from(JSON.stringify(cursor)).toString('base64url') : null;
+}
+
+function _decodeCursor(cursor) {
+  if (!cursor) return undefined;
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2) throw new ValidationError(`Bad cursor: ${cursor}`);
+  return decoded;
+}
+
+async function searchLeads(query) {
+  const filters = {};
+  for (const param of Object.keys(SEARCH.FILTERS)) {
+    if (query[param]) filters[param] = String(query[param]).trim();
+  }
+
+  // Every filter combination needs its own composite index — only the
+  // declared ones are accepted, instead of failing in Firestore with a 500
+  const used = Object.keys(filters);
+  if (used.length > 1 && !SEARCH.FILTER_COMBOS.some(combo =>
+    combo.length === used.length && used.every(f => combo.includes(f)))) {
+    throw new ValidationError(`Unsupported filter combination: ${used.join(' + ')}`, {
+      allowed: ['any one filter', ...SEARCH.FILTER_COMBOS.map(combo => combo.join(' + '))],
+    });
+  }
+  if (query.sort && !SEARCH.SORT_FIELDS.includes(query.sort)) {
+    throw new ValidationError(`Unknown sort: ${query.sort}`, { allowed: SEARCH.SORT_FIELDS });
+  }
+  const ranged = query.createdFrom || query.createdTo;
+  const q = String(query.q || '').trim();
+  // Firestore orders by the field a range is on: a prefix search sorts by
+  // name/phone, a created range by createdAt
+  if (q && (ranged || query.sort)) {
+    throw new ValidationError('q cannot be combined with createdFrom/createdTo or sort');
+  }
+  if (ranged && query.sort === 'updatedAt') {
+    throw new ValidationError('createdFrom/createdTo sort by createdAt only');
+  }
+
+  const digits = /^\+?[\d\s-]+$/.test(q) ? q.replace(/\D/g, '') : '';
+  const page = await FirestoreService.searchLeads({
+    filters,
+    createdFrom: query.createdFrom ? _dateBound(query.createdFrom, 'createdFrom', false) : undefined,
+    createdTo: query.createdTo ? _dateBound(query.createdTo, 'createdTo', true) : undefined,
+    namePrefix: q && !digits ? q : undefined,
+    phonePrefix: digits || undefined,
+    sort: query.sort,
+    order: query.order,
+    limit: query.limit,
+    startAfter: _decodeCursor(query.cursor),
+    includeMerged: query.includeMerged === 'true',
+  });
+  return { items: page.items, nextCursor: _encodeCursor(page.nextCursor) };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function mergeLeads(body) {
+  _requireFields(body, ['cgIds', 'by']);
+  if (!Array.isArray(body.cgIds) || body.cgIds.length !== 2) {
+    throw new ValidationError('cgIds must list exactly two CGIDs', { cgIds: body.cgIds });
+  }
+  const cgIds = body.cgIds.map(id => String(id).trim());
+
+  // Dry run first: bad CGIDs / survivor choice come back as 4xx here
+  // instead of being queued for retry
+  const plan = await LeadMergeService.mergeLeads(cgIds, {
+    survivorCgId: body.survivorCgId, by: body.by, dryRun: true,
+  });
+  if (body.dryRun === true) return { plan };
+
+  const writeFn = buildWriteOp('lead_merge', { cgIds, survivorCgId: plan.survivorCgId, by: body.by });
+  await tryWriteOrQueue(writeFn, `merge_${plan.loserCgId}_${plan.survivorCgId}`, {
+    phone: plan.survivorPhone, cgId: plan.survivorCgId, handler: 'handleLeadRequest_merge'
+  });
+
+  const state = writeFn.descriptor.state;
+  if (state.merged) {
+    await DuplicateReviewStore.closePair(DuplicateReviewStore.pairIdFor(...cgIds), 'merged', body.by);
+  }
+  console.log(`${LOG_PREFIX} ${body.by}: ${plan.loserCgId} → ${plan.survivorCgId}${state.merged ? '' : ' (queued)'}`);
+  return {
+    survivorCgId: plan.survivorCgId,
+    loserCgId: plan.loserCgId,
+    merged: state.merged === true,
+    queued: !(state.firestoreDone && state.sheetDone),
+  };
+}
+
+async function scanDuplicates(body) {
+  return runDuplicateScan({ dryRun: body.dryRun === true });
+}
+
+async function dismissDuplicate(body) {
+  _requireFields(body, ['pairId', 'by']);
+  if (!await DuplicateReviewStore.closePair(body.pairId, 'dismissed', body.by)) {
+    throw new NotFoundError(`Duplicate pair not found: ${body.pairId}`, { pairId: body.pairId });
+  }
+  return { dismissed: body.pairId };
+}
+
+
+function _requireFields(body, fields) {
+  const missing = fields.filter(f => !body[f]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing fields: ${missing.join(', ')}`, { missing });
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISPATCH — object-based, same idea as lib/router.js
+// ═══════════════════════════════════════════════════════════════════════════
+
+const GET_VIEWS = {
+  search:  searchLeads,
+  history: getHistory,
+};
+
+const POST_ACTIONS = {
+  merge:            mergeLeads,
+  scanDuplicates:   scanDuplicates,
+  dismissDuplicate: dismissDuplicate,
+};
+
+/**
+ * @param {string} method - HTTP method
+ * @param {Object} query  - req.query
+ * @param {Object} body   - req.body
+ */
+async function handleLeadRequest(method, query, body) {
+  if (method === 'GET') {
+    const view = GET_VIEWS[query.view];
+    if (!view) {
+      throw new ValidationError(`Unknown view: ${query.view}`, { allowed: Object.keys(GET_VIEWS) });
+    }
+    return view(query);
+  }
+
+  if (method === 'POST') {
+    const action = POST_ACTIONS[body.action];
+    if (!action) {
+      throw new ValidationError(`Unknown action: ${body.action}`, { allowed: Object.keys(POST_ACTIONS) });
+    }
+    return action(body);
+  }
+
+  throw new AppError('Method not allowed', 405, { method });
+}
+
+
+module.exports = {
+  handleLeadRequest,
+};
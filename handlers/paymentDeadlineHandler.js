@@ -0,0 +1,185 @@
+// ============================================================================
+//  handlers/paymentDeadlineHandler.js — Payment Deadline Scheduler
+//
+//  Backs the `paymentDeadlines` HTTP function (index.js), called by Cloud
+//  Scheduler once or twice a day. Scans leads in the `payment` stage:
+//
+//    Before paymentDeadline → WATI reminder at each PAYMENTS.REMINDER_OFFSETS_DAYS
+//                             (days left, IST calendar). Each offset is sent once;
+//                             offsets missed while the job was down are skipped.
+//    After paymentDeadline  → PAYMENTS.EXPIRY_ACTION:
+//                               'flag'   — paymentOverdue = true
+//                               'revert' — payment → sales_review through
+//                                          handleStageTransition (same validation
+//                                          and sheet routing as an agent edit)
+//
+//  Fully paid leads are skipped. Every action is written to lead history.
+//  POST { dryRun: true } reports what would happen without doing it.
+// ============================================================================
+
+const FirestoreService = require('../services/firestoreService');
+const SheetService     = require('../services/sheetsService');
+const WatiService      = require('../services/watiService');
+const config           = require('../config');
+const { parseAmount, dateKeyIST, deadlineEndIST, formatDate } = require('../utils/helpers');
+const { handleStageTransition } = require('./stageHandler');
+
+const LOG_PREFIX = '[PaymentDeadline]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULER = 'deadline_scheduler';
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PLANNING — pure: lead + now → action
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Decide what to do with one lead.
+ * @returns {{ type: 'remind'|'expire'|'none', reason?: string, offsets?: number[],
+ *             daysLeft?: number, deadline?: Date }}
+ */
+function planAction(lead, now) {
+  if (lead.fullyPaid === true) return { type: 'none', reason: 'fully_paid' };
+
+  const deadline = deadlineEndIST(lead.paymentDeadline);
+  if (!deadline) return { type: 'none', reason: 'no_deadline' };
+
+  if (deadline.getTime() <= now.getTime()) {
+    if (config.PAYMENTS.EXPIRY_ACTION === 'flag' && lead.paymentOverdue === true) {
+      return { type: 'none', reason: 'already_flagged' };
+    }
+    return { type: 'expire', deadline };
+  }
+
+  const daysLeft = Math.round(
+    (Date.parse(dateKeyIST(deadline)) - Date.parse(dateKeyIST(now))) / DAY_MS);
+  const sent = lead.paymentRemindersSent || [];
+  const due = config.PAYMENTS.REMINDER_OFFSETS_DAYS.filter(o => daysLeft <= o && !sent.includes(o));
+  if (due.length === 0) return { type: 'none', reason: 'no_reminder_due' };
+
+  return { type: 'remind', offsets: due, daysLeft, deadline };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function sendReminder(lead, plan) {
+  const sent = await WatiService.sendPaymentReminder(lead.phone, {
+    name:     lead.name,
+    amount:   parseAmount(lead.nextDueAmount) || parseAmount(lead.pendingAmount),
+    url:      lead.paymentLinkUrl,
+    dueDate:  formatDate(plan.deadline),
+    daysLeft: plan.daysLeft,
+  });
+  if (!sent) throw new Error('WATI did not accept the reminder');
+
+  // Mark every offset that is now due, so a late run does not send a
+  // "3 days left" reminder after the "1 day left" one.
+  await FirestoreService.updateLead(lead.phone, {
+    paymentRemindersSent: [...(lead.paymentRemindersSent || []), ...plan.offsets],
+  }, {
+    action: 'payment_reminder_sent',
+    by: SCHEDULER,
+    details: { daysLeft: plan.daysLeft, offsets: plan.offsets, paymentDeadline: lead.paymentDeadline },
+  });
+  return { status: 'reminded', daysLeft: plan.daysLeft };
+}
+
+async function flagOverdue(lead) {
+  await FirestoreService.updateLead(lead.phone, { paymentOverdue: true }, {
+    action: 'payment_deadline_expired',
+    by: SCHEDULER,
+    details: { paymentDeadline: lead.paymentDeadline, pendingAmount: lead.pendingAmount, outcome: 'flagged' },
+  });
+  return { status: 'flagged' };
+}
+
+async function revertToSalesReview(lead) {
+  const source = config.getSheetForStage(config.STAGES.PAYMENT);
+  const found = source
+    ? await SheetService.findByPhone(lead.phone, source.spreadsheetId, source.tabName)
+    : null;
+
+  const result = await handleStageTransition({
+    phone:               lead.phone,
+    oldStage:            config.STAGES.PAYMENT,
+    newStage:            config.STAGES.SALES_REVIEW,
+    sourceRow:           found?.row,
+    sourceSpreadsheetId: source?.spreadsheetId,
+    sourceTabName:       source?.tabName,
+    editor:              SCHEDULER,
+  });
+
+  await FirestoreService.updateLead(lead.phone, { paymentOverdue: true }, {
+    action: 'payment_deadline_expired',
+    by: SCHEDULER,
+    details: {
+      paymentDeadline: lead.paymentDeadline,
+      pendingAmount:   lead.pendingAmount,
+      outcome:         result.success ? 'moved_to_sales_review' : `revert_blocked:${result.reason}`,
+    },
+  });
+
+  if (!result.success) return { status: 'revert_blocked', reason: result.reason };
+  return { status: 'reverted' };
+}
+
+const EXPIRY_ACTIONS = {
+  flag:   flagOverdue,
+  revert: revertToSalesReview,
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Scan payment-stage leads and send reminders / enforce deadlines.
+ * @param {{ dryRun?: boolean, now?: Date }} [options]
+ * @returns {Promise<{ scanned: number, counts: Object, actions: Array }>}
+ */
+async function runPaymentDeadlineScan({ dryRun = false, now = new Date() } = {}) {
+  const expire = EXPIRY_ACTIONS[config.PAYMENTS.EXPIRY_ACTION];
+  if (!expire) throw new Error(`Unknown PAYMENT_EXPIRY_ACTION: ${config.PAYMENTS.EXPIRY_ACTION}`);
+
+  const leads = await FirestoreService.findLeadsByStage(config.STAGES.PAYMENT);
+  console.log(`${LOG_PREFIX} Scanning ${leads.length} payment-stage leads${dryRun ? ' (dry run)' : ''}`);
+
+  const counts = {};
+  const actions = [];
+
+  for (const { data: lead } of leads) {
+    const plan = planAction(lead, now);
+    if (plan.type === 'none') {
+      counts[plan.reason] = (counts[plan.reason] || 0) + 1;
+      continue;
+    }
+
+    let outcome;
+    if (dryRun) {
+      outcome = { status: `would_${plan.type}`, daysLeft: plan.daysLeft };
+    } else {
+      try {
+        outcome = plan.type === 'remind' ? await sendReminder(lead, plan) : await expire(lead);
+      } catch (err) {
+        console.error(`${LOG_PREFIX} ${plan.type} failed for ${lead.cgId}: ${err.message}`);
+        outcome = { status: 'error', error: err.message };
+      }
+    }
+
+    counts[outcome.status] = (counts[outcome.status] || 0) + 1;
+    actions.push({ cgId: lead.cgId, paymentDeadline: lead.paymentDeadline, ...outcome });
+  }
+
+  console.log(`${LOG_PREFIX} Done: ${JSON.stringify(counts)}`);
+  return { scanned: leads.length, dryRun, counts, actions };
+}
+
+
+module.exports = {
+  runPaymentDeadlineScan,
+  planAction,
+};
@@ -2,37 +2,125 @@
 //  handlers/paymentHandler.js — Payment Event Handlers
 //
 //  Lookup: Try Firestore first (fast), Sheet fallback (scan)
+//  Matched   → 'payment_record' write op: ledger rollups on the lead +
+//              history entry, then the lead's stage-sheet row.
+//  Unmatched → 'payment_unmatched' write op: Manual_Review sheet +
+//              unmatchedPayments collection for reconciliation.
+//
+//  issuePaymentLink: called by stageHandler on sales_review → payment.
+//  Creates a gateway link for the pending amount (expiry follows
+//  paymentDeadline), stores it on the lead, sends it via WATI template.
 // ============================================================================
 
 const FirestoreService = require('../services/firestoreService');
 const SheetService     = require('../services/sheetsService');
-const { ExternalServiceError } = require('../lib/errorHandler');
+const WatiService      = require('../services/watiService');
+const PaymentGateway   = require('../services/paymentGatewayService');
+const config           = require('../config');
+const { parseAmount, nowISO, formatDate, normalizePhone } = require('../utils/helpers');
+const { ValidationError, ExternalServiceError } = require('../lib/errorHandler');
+const { buildWriteOp, tryWriteOrQueue } = require('../lib/writeBoth');
 
 const LOG_PREFIX = '[Payment]';
 
 
+/**
+ * Normalize the Payment_Received payload.
+ * Accepts the field names used by GAS and by hand-entered payloads.
+ */
+function extractPayment(params) {
+  const paidAtRaw = params.timestamp || params.paidAt || params.dateOfPayment;
+  const paidAt = paidAtRaw && !isNaN(new Date(paidAtRaw).getTime())
+    ? new Date(paidAtRaw).toISOString()
+    : nowISO();
+
+  return {
+    phone:     params.phone || params.contact_number || '',
+    amount:    parseAmount(params.amount ?? params.amountPaid),
+    mode:      params.mode || params.modeOfPay || '',
+    reference: String(params.reference || params.paymentRefId || params.txnId || '').trim(),
+    account:   params.account || params.receivedAccount || '',
+    paidAt,
+  };
+}
+
+
 async function handlePayment(params) {
-  try {
-    console.log(`${LOG_PREFIX} Processing payment`);
+  const payment = extractPayment(params);
 
-    const paymentNumber = params.phone || params.contact_number;
+  if (!payment.phone) {
+    throw new ValidationError('Payment phone is required', { handler: 'handlePayment' });
+  }
+  if (!(payment.amount > 0)) {
+    throw new ValidationError(`Invalid payment amount: ${params.amount}`, { handler: 'handlePayment' });
+  }
+
+  try {
+    console.log(`${LOG_PREFIX} Processing payment ${payment.reference || '(no ref)'} of ${payment.amount}`);
 
     // Try Firestore first (fast single doc lookup)
-    const firestoreLead = await FirestoreService.findLeadByPhone(paymentNumber);
-    if (firestoreLead) {
-      console.log(`${LOG_PREFIX} Matched via Firestore: ${firestoreLead.data.cgId}`);
-      return { status: 'payment_processed', cgId: firestoreLead.data.cgId };
+    let lead = await FirestoreService.findLeadByPhone(payment.phone);
+    if (lead) {
+      console.log(`${LOG_PREFIX} Matched via Firestore: ${lead.data.cgId}`);
     }
 
-    // Fallback: Sheet scan
-    const sheetLead = await SheetService.findByPhone(paymentNumber);
-    if (sheetLead) {
-      console.log(`${LOG_PREFIX} Matched via Sheet row ${sheetLead.row}`);
-      return { status: 'payment_processed', row: sheetLead.row };
+    // Fallback: Sheet scan — backfill the lead so the payment has somewhere to live
+    if (!lead) {
+      const sheetLead = await SheetService.findByPhone(payment.phone);
+      if (sheetLead) {
+        console.log(`${LOG_PREFIX} Matched via Sheet row ${sheetLead.row} — backfilling Firestore`);
+        await FirestoreService.createLead({
+          phone:    payment.phone,
+          name:     sheetLead.data.name || '',
+          status:   sheetLead.data.status || config.DEFAULTS.STATUS,
+          team:     sheetLead.data.team || config.DEFAULTS.TEAM,
+          location: sheetLead.data.location || '',
+          inquiry:  sheetLead.data.inquiry || config.DEFAULTS.INQUIRY,
+          product:  sheetLead.data.product || '',
+          source:   'sheet_backfill',
+          channel:  'payment',
+          sheetRow: sheetLead.row,
+        });
+        lead = await FirestoreService.findLeadByPhone(payment.phone);
+      }
     }
 
-    console.log(`${LOG_PREFIX} No match - manual review required`);
-    return { status: 'manual_review_required', phone: paymentNumber };
+    // Stable across GAS re-sends of the same row, so a replay finds the queued op
+    const opKey = payment.reference || `${normalizePhone(payment.phone)}_${payment.amount}_${payment.paidAt}`;
+
+    if (!lead) {
+      console.log(`${LOG_PREFIX} No match - manual review required`);
+      const writeFn = buildWriteOp('payment_unmatched', {
+        payment: { ...payment, reason: 'No lead matched this phone' },
+      });
+      await tryWriteOrQueue(writeFn, `payment_unmatched_${opKey}`, {
+        phone: payment.phone, handler: 'handlePayment_unmatched'
+      });
+      return { status: 'manual_review_required', phone: payment.phone };
+    }
+
+    const writeFn = buildWriteOp('payment_record', {
+      phone: payment.phone, payment, by: params.by || 'system',
+    });
+    await tryWriteOrQueue(writeFn, `payment_${lead.data.cgId}_${opKey}`, {
+      phone: payment.phone, cgId: lead.data.cgId, handler: 'handlePayment'
+    });
+
+    // Deferred to PendingQueue — the lead's rollups don't include it yet
+    if (!writeFn.descriptor.state.firestoreDone) {
+      return { status: 'payment_queued', cgId: lead.data.cgId };
+    }
+
+    const updated = await FirestoreService.findLeadByPhone(payment.phone);
+    const data = updated?.data || lead.data;
+    return {
+      status:        'payment_processed',
+      cgId:          data.cgId,
+      amountPaid:    data.amountPaid,
+      pendingAmount: data.pendingAmount,
+      paymentStatus: data.paymentStatus,
+      fullyPaid:     data.fullyPaid,
+    };
 
   } catch (error) {
     console.error(`${LOG_PREFIX} Error: ${error.message}`);
@@ -41,6 +129,70 @@ async function handlePayment(params) {
 }
 
 
+/**
+ * Create and send a payment link for the lead's pending amount.
+ * A live link for the same amount is reused, so a replayed transition
+ * does not issue a second one.
+ *
+ * @param {string} phone
+ * @param {string} [by]
+ * @returns {Promise<{ status: string, linkId?: string, url?: string, amount?: number, expiresAt?: string }>}
+ */
+async function issuePaymentLink(phone, by = 'system') {
+  const lead = await FirestoreService.findLeadByPhone(phone);
+  if (!lead) return { status: 'skipped', reason: 'lead_not_found' };
+
+  const data = lead.data;
+  const amount = parseAmount(data.pendingAmount);
+  if (!(amount > 0)) {
+    console.log(`${LOG_PREFIX} No pending amount for ${data.cgId} — no link issued`);
+    return { status: 'skipped', reason: 'nothing_pending' };
+  }
+
+  if (data.paymentLinkId &&
+      parseAmount(data.paymentLinkAmount) === amount &&
+      new Date(data.paymentLinkExpiresAt).getTime() > Date.now()) {
+    console.log(`${LOG_PREFIX} Live link ${data.paymentLinkId} already issued to ${data.cgId}`);
+    return { status: 'link_exists', linkId: data.paymentLinkId, url: data.paymentLinkUrl };
+  }
+
+  const link = await PaymentGateway.createPaymentLink({
+    amount,
+    cgId:      data.cgId,
+    name:      data.name,
+    phone:     data.phone,
+    expiresAt: PaymentGateway.linkExpiryFor(data.paymentDeadline),
+  });
+
+  await FirestoreService.updateLead(phone, {
+    paymentLinkId:        link.id,
+    paymentLinkUrl:       link.url,
+    paymentLinkAmount:    link.amount,
+    paymentLinkExpiresAt: link.expiresAt,
+  }, {
+    action: 'payment_link_created',
+    by,
+    details: { linkId: link.id, amount: link.amount, expiresAt: link.expiresAt, provider: link.provider },
+  });
+
+  // The link is stored either way — agents can resend it from the sheet
+  let sent = false;
+  try {
+    sent = await WatiService.sendPaymentLink(data.phone, {
+      name: data.name, amount: link.amount, url: link.url, dueDate: formatDate(link.expiresAt),
+    });
+  } catch (err) {
+    console.warn(`${LOG_PREFIX} Payment link WhatsApp failed for ${data.cgId}: ${err.message}`);
+  }
+
+  return {
+    status: sent ? 'link_sent' : 'link_created',
+    linkId: link.id, url: link.url, amount: link.amount, expiresAt: link.expiresAt,
+  };
+}
+
+
 module.exports = {
-  handlePayment
-};
\ No newline at end of file
+  handlePayment,
+  issuePaymentLink,
+};
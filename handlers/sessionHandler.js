@@ -0,0 +1,79 @@
+// ============================================================================
+//  handlers/sessionHandler.js — Masterclass Session Admin
+//
+//  Backs the `sessions` HTTP function (index.js):
+//    GET  ?id=<sessionId>                  → session + its attendance records
+//    GET  ?from=&limit=&cursor=            → list (start order)
+//    POST { action: 'save', session: { sessionId?, title?, mode, startAt,
+//           endAt, groupLink, confirmationTemplate } } → create / replace
+//    POST { action: 'cancel', sessionId }  → no new confirmations or logins
+// ============================================================================
+
+const SessionStore    = require('../services/sessionStore');
+const AttendanceStore = require('../services/attendanceStore');
+const { AppError, ValidationError, NotFoundError } = require('../lib/errorHandler');
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function getSession(query) {
+  const session = await SessionStore.getSession(query.id);
+  if (!session) throw new NotFoundError(`Session not found: ${query.id}`, { id: query.id });
+  return { item: session, attendance: await AttendanceStore.listForSession(query.id) };
+}
+
+async function listSessions(query) {
+  return SessionStore.listSessions({ from: query.from, limit: query.limit, startAfter: query.cursor });
+}
+
+async function saveSession(body) {
+  if (!body.session) throw new ValidationError('Missing field: session');
+  return { item: await SessionStore.saveSession(body.session) };
+}
+
+async function cancelSession(body) {
+  if (!body.sessionId) throw new ValidationError('Missing field: sessionId');
+  if (!await SessionStore.getSession(body.sessionId)) {
+    throw new NotFoundError(`Session not found: ${body.sessionId}`, { id: body.sessionId });
+  }
+  await SessionStore.cancelSession(body.sessionId);
+  return { cancelled: body.sessionId };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISPATCH — object-based, same idea as lib/router.js
+// ═══════════════════════════════════════════════════════════════════════════
+
+const POST_ACTIONS = {
+  save:   saveSession,
+  cancel: cancelSession,
+};
+
+/**
+ * @param {string} method - HTTP method
+ * @param {Object} query  - req.query
+ * @param {Object} body   - req.body
+ */
+async function handleSessionRequest(method, query, body) {
+  if (method === 'GET') {
+    return query.id ? getSession(query) : listSessions(query);
+  }
+
+  if (method === 'POST') {
+    const action = POST_ACTIONS[body.action];
+    if (!action) {
+      throw new ValidationError(`Unknown action: ${body.action}`, { allowed: Object.keys(POST_ACTIONS) });
+    }
+    return action(body);
+  }
+
+  throw new AppError('Method not allowed', 405, { method });
+}
+
+
+module.exports = {
+  handleSessionRequest,
+};
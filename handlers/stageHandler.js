@@ -13,7 +13,11 @@
 const FirestoreService = require('../services/firestoreService');
 const SheetService     = require('../services/sheetsService');
 const stageRouter      = require('../services/stageRouter');
+const EntitlementService = require('../services/entitlementService');
 const config           = require('../config');
+const { parseAmount, nowISO, deadlineEndIST } = require('../utils/helpers');
+const { buildWriteOp, tryWriteOrQueue } = require('../lib/writeBoth');
+const { issuePaymentLink } = require('./paymentHandler');
 
 const LOG_PREFIX = '[StageTransition]';
 
@@ -153,13 +157,14 @@ async function handleStageTransition(params) {
     const fd = params.formData;
     const formUpdates = {};
 
-    if (fd.amountPaid !== undefined)   formUpdates.amountPaid   = fd.amountPaid;
-    if (fd.modeOfPay)                  formUpdates.modeOfPay    = fd.modeOfPay;
-    if (fd.paymentRefId)               formUpdates.paymentRefId = fd.paymentRefId;
+    // amountPaid / modeOfPay / paymentRefId are not overwritten here — the
+    // claimed payment goes into the ledger below so earlier payments survive.
     if (fd.scholarship !== undefined)  formUpdates.scholarship  = fd.scholarship;
     if (fd.installment !== undefined)  formUpdates.installment  = fd.installment;
 
-    if (Object.keys(formUpdates).length > 0) {
+    const claimed = parseAmount(fd.amountPaid);
+
+    if (Object.keys(formUpdates).length > 0 || claimed > 0) {
       const formHistoryEntry = {
         action: 'submitted_to_sales',
         by: editor || 'system',
@@ -176,6 +181,40 @@ async function handleStageTransition(params) {
       await FirestoreService.updateLead(phone, formUpdates, formHistoryEntry);
       console.log(`${LOG_PREFIX} Form data written for ${existing.data.cgId}`);
     }
+
+    // The form's amountPaid is the total paid so far (it used to overwrite
+    // lead.amountPaid), so only the part above what the ledger already holds
+    // is a new payment. Re-submitting the form then adds nothing, even when
+    // the agent left the reference blank.
+    const recorded = parseAmount(existing.data.amountPaid);
+    const newAmount = Math.round((claimed - recorded) * 100) / 100;
+    if (claimed > 0 && newAmount <= 0) {
+      console.log(`${LOG_PREFIX} Agent-claimed ${claimed} already covered by ledger (${recorded}) for ${existing.data.cgId}`);
+    } else if (newAmount > 0) {
+      // Queued on failure so the stage transition still goes through; the op
+      // id is keyed on the ledger total, so a re-submit doesn't queue it twice
+      const cgId = existing.data.cgId;
+      const writeFn = buildWriteOp('payment_record', {
+        phone,
+        payment: {
+          amount:    newAmount,
+          mode:      fd.modeOfPay || '',
+          reference: String(fd.paymentRefId || '').trim(),
+          paidAt:    nowISO(),
+        },
+        by: editor || 'system',
+        source: 'agent_form',
+      });
+      try {
+        await tryWriteOrQueue(writeFn, `agentpay_${cgId}_${recorded}_${newAmount}`, {
+          phone, cgId, handler: 'handleStageTransition'
+        });
+        const queued = !writeFn.descriptor.state.paymentRecorded;
+        console.log(`${LOG_PREFIX} Agent-claimed payment of ${newAmount} recorded for ${cgId}${queued ? ' (queued)' : ''}`);
+      } catch (payErr) {
+        console.error(`${LOG_PREFIX} Agent-claimed payment of ${newAmount} for ${cgId} not recorded: ${payErr.message}`);
+      }
+    }
   }
 
   // 4c. If form data for sales_review → payment transition (Sales Approval form).
@@ -193,6 +232,9 @@ async function handleStageTransition(params) {
     }
     if (fd.paymentDeadline !== undefined && fd.paymentDeadline !== null) {
       paymentFormUpdates.paymentDeadline = fd.paymentDeadline;
+      // New deadline → the deadline scheduler starts over
+      paymentFormUpdates.paymentRemindersSent = [];
+      paymentFormUpdates.paymentOverdue = false;
     }
 
     if (Object.keys(paymentFormUpdates).length > 0) {
@@ -210,6 +252,43 @@ async function handleStageTransition(params) {
       await FirestoreService.updateLead(phone, paymentFormUpdates, paymentHistoryEntry);
       console.log(`${LOG_PREFIX} Payment form data written for ${existing.data.cgId}`);
     }
+
+    // Installment schedule from finalPrice — installment 1 due at the payment
+    // deadline, the rest every PAYMENTS.INSTALLMENT_INTERVAL_DAYS after. A
+    // deadline that doesn't parse (e.g. '25/10/2026') falls back to
+    // FIRST_DUE_DAYS; a failure here must not block routing.
+    const deadline = deadlineEndIST(fd.paymentDeadline);
+    if (fd.paymentDeadline && !deadline) {
+      console.warn(`${LOG_PREFIX} Unparseable paymentDeadline '${fd.paymentDeadline}' for ${existing.data.cgId} — first due in ${config.PAYMENTS.FIRST_DUE_DAYS} days`);
+    }
+    try {
+      const plan = await FirestoreService.setInstallmentPlan(phone, {
+        installments: fd.installment ?? existing.data.installment ?? 1,
+        firstDueDate: deadline ||
+          new Date(Date.now() + config.PAYMENTS.FIRST_DUE_DAYS * 24 * 60 * 60 * 1000),
+      });
+      if (plan) {
+        console.log(`${LOG_PREFIX} Installment plan for ${plan.cgId}: ${plan.installmentSchedule.length} due, next ${plan.nextDueDate || '-'}`);
+      }
+    } catch (planErr) {
+      console.error(`${LOG_PREFIX} Installment plan failed for ${existing.data.cgId}: ${planErr.message}`);
+    }
+
+    // partialAccess / accessThreshold may already be met by earlier payments
+    try {
+      await EntitlementService.applyEntitlement(phone, editor || 'system');
+    } catch (entErr) {
+      console.error(`${LOG_PREFIX} Entitlement check failed for ${existing.data.cgId}: ${entErr.message}`);
+    }
+
+    // Payment link for the pending amount — also before routing so the
+    // payment sheet row gets the link. Failure must not block the transition.
+    try {
+      const linkResult = await issuePaymentLink(phone, editor || 'system');
+      console.log(`${LOG_PREFIX} Payment link for ${existing.data.cgId}: ${linkResult.status}`);
+    } catch (linkErr) {
+      console.error(`${LOG_PREFIX} Payment link failed for ${existing.data.cgId}: ${linkErr.message}`);
+    }
   }
 
   // 5. Route — stageRouter handles same-sheet, cross-sheet, and terminal cases.
@@ -0,0 +1,294 @@
+// ============================================================================
+//  handlers/timelineHandler.js — Lead Timeline
+//
+//  Backs the `timeline` HTTP function (index.js):
+//    GET ?cgId=<id>|phone=<num>&types=history,message&limit=&cursor=
+//        → one chronological feed (newest first) for the lead:
+//
+//    history    — leads/{cgId}/history events
+//    attendance — masterclass attendance records (one per session)
+//    payment    — payments / refunds ledger
+//    message    — WATI conversation (latest WATI_PAGE_SIZE × WATI_MAX_PAGES)
+//    call       — Smartflo call records (last CALL_LOOKBACK_DAYS)
+//
+//  Item: { type, at, id, summary, data }. Feed order is at desc, then
+//  `${type}:${id}` desc; the cursor is `${at}~${type}:${id}` of the last
+//  item. History events that mirror the payments ledger are dropped while
+//  the payment source is in the feed.
+//
+//  A failing source doesn't fail the request: the feed carries the rest and
+//  `sources` reports { name: 'ok' | 'truncated' | 'error: …' }.
+// ============================================================================
+
+const FirestoreService = require('../services/firestoreService');
+const AttendanceStore  = require('../services/attendanceStore');
+const WatiService      = require('../services/watiService');
+const SmartfloService  = require('../services/smartfloService');
+const config           = require('../config');
+const { AppError, ValidationError, NotFoundError } = require('../lib/errorHandler');
+const { dateKeyIST, formatTimeIST } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Timeline]';
+const T = config.TIMELINE;
+
+// History actions already shown by a dedicated source
+const MIRRORED_ACTIONS = {
+  payment: ['payment_received', 'refund_processed'],
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  FEED ORDER
+// ═══════════════════════════════════════════════════════════════════════════
+
+function _iso(value) {
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? '' : d.toISOString();
+}
+
+function _key(item) {
+  return `${item.type}:${item.id}`;
+}
+
+/** Newest first; ties broken by key so paging is stable. */
+function _compareDesc(a, b) {
+  if (a.at !== b.at) return a.at < b.at ? 1 : -1;
+  return _key(a) < _key(b) ? 1 : _key(a) > _key(b) ? -1 : 0;
+}
+
+function encodeCursor(item) {
+  return `${item.at}~${_key(item)}`;
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const value = String(cursor);
+  const at = value.slice(0, value.indexOf('~'));
+  const key = value.slice(value.indexOf('~') + 1);
+  if (!at || !key.includes(':') || !_iso(at)) throw new ValidationError(`Bad cursor: ${cursor}`);
+  return { at, key, type: key.slice(0, key.indexOf(':')), id: key.slice(key.indexOf(':') + 1) };
+}
+
+/** Whether the item comes after the cursor in feed order. */
+function _afterCursor(item, cursor) {
+  if (!cursor) return true;
+  if (item.at !== cursor.at) return item.at < cursor.at;
+  return _key(item) < cursor.key;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SOURCES — (lead, ctx) → { items, complete }
+//  complete: false when older items exist beyond what was fetched; the
+//  feed then stops at the source's oldest item so nothing is skipped.
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function historySource(lead, { cursor, limit, types }) {
+  const mirrored = types.flatMap(type => MIRRORED_ACTIONS[type] || []);
+  const page = await FirestoreService.listHistory(lead.docId, {
+    limit: limit + 1,
+    startAfter: cursor?.type === 'history' ? cursor.id : undefined,
+    until: cursor && cursor.type !== 'history' ? cursor.at : undefined,
+  });
+
+  const items = page.items
+    .filter(event => !mirrored.includes(event.action))
+    .map(event => ({
+      type: 'history',
+      at: _iso(event.at),
+      id: event.eventId,
+      summary: event.action,
+      data: { action: event.action, by: event.by, details: event.details || {} },
+    }));
+  return { items, complete: !page.nextCursor };
+}
+
+async function attendanceSource(lead) {
+  const records = await AttendanceStore.listForAttendee(lead.data.cgId || lead.docId);
+  const items = records.map(r => ({
+    type: 'attendance',
+    at: _iso(r.firstLoginAt),
+    id: r.sessionId,
+    summary: `Attended ${r.sessionId} (${r.timing})`,
+    data: {
+      sessionId: r.sessionId, sessionDate: r.sessionDate, timing: r.timing,
+      loginCount: r.loginCount, firstLoginAt: r.firstLoginAt, lastLoginAt: r.lastLoginAt,
+    },
+  }));
+  return { items, complete: true };
+}
+
+async function paymentSource(lead) {
+  const entries = await FirestoreService.listPayments(lead.docId);
+  const items = entries.map(p => ({
+    type: 'payment',
+    at: _iso(p.paidAt),
+    id: p.paymentId,
+    summary: p.type === 'refund'
+      ? `Refund ₹${Math.abs(p.amount)}`
+      : `Payment ₹${p.amount}${p.installmentNo ? ` (installment ${p.installmentNo})` : ''}`,
+    data: {
+      kind: p.type, amount: p.amount, mode: p.mode || '', reference: p.reference || '',
+      installmentNo: p.installmentNo || null, source: p.source || '',
+    },
+  }));
+  return { items, complete: true };
+}
+
+/**
+ * WATI pages are newest first; stop once a full feed page lies past the
+ * cursor. Beyond WATI_MAX_PAGES the conversation is cut off ('truncated').
+ */
+async function messageSource(lead, { cursor, limit }) {
+  // WhatsApp runs on the whatsapp alias when the lead has one
+  const whatsapp = (lead.data.phoneAliases || []).find(a => a.type === 'whatsapp');
+  const phone = whatsapp?.phone || lead.data.phone;
+
+  const items = [];
+  for (let pageNumber = 1; pageNumber <= T.WATI_MAX_PAGES; pageNumber++) {
+    const messages = await WatiService.getMessages(phone, { pageSize: T.WATI_PAGE_SIZE, pageNumber });
+    for (const m of messages) {
+      const outgoing = m.owner === true;
+      items.push({
+        type: 'message',
+        at: _iso(m.created),
+        id: m.id,
+        summary: `${outgoing ? 'Sent' : 'Received'}: ${m.text || `[${m.type}]`}`.slice(0, 120),
+        data: {
+          direction: outgoing ? 'out' : 'in', text: m.text || '', messageType: m.type || '',
+          status: m.statusString || '', operator: m.operatorName || '',
+        },
+      });
+    }
+
+    if (messages.length < T.WATI_PAGE_SIZE) return { items, complete: true };
+    if (items.filter(item => _afterCursor(item, cursor)).length > limit) return { items, complete: false };
+  }
+  return { items, complete: true, truncated: true };
+}
+
+/**
+ * Smartflo dates are IST wall-clock ('YYYY-MM-DD HH:mm:ss').
+ */
+async function callSource(lead, { cursor, limit }) {
+  // The window start is fixed to now, so older calls never show up behind
+  // items a previous page already passed
+  const from = new Date(Date.now() - T.CALL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const to = cursor ? new Date(cursor.at) : new Date();
+  if (to <= from) return { items: [], complete: true };
+  const toIST = (d) => `${dateKeyIST(d)} ${formatTimeIST(d)}`;
+
+  const records = await SmartfloService.getCallRecords(lead.data.phone, {
+    fromDate: toIST(from), toDate: toIST(to), limit: limit + 1,
+  });
+  const items = records.map(r => ({
+    type: 'call',
+    at: _iso(`${r.date}T${r.time}+05:30`),
+    id: String(r.call_id || r.id),
+    summary: `${r.direction || 'call'} ${r.status || ''} (${r.call_duration || 0}s)`.replace(/\s+/g, ' '),
+    data: {
+      direction: r.direction || '', status: r.status || '', duration: r.call_duration || 0,
+      agent: r.agent_name || '', recordingUrl: r.recording_url || '',
+    },
+  }));
+  return { items, complete: records.length <= limit };
+}
+
+const SOURCES = {
+  history:    historySource,
+  attendance: attendanceSource,
+  payment:    paymentSource,
+  message:    messageSource,
+  call:       callSource,
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function _resolveLead(query) {
+  if (!query.cgId && !query.phone) throw new ValidationError('Missing query: cgId or phone');
+  const lead = query.cgId
+    ? await FirestoreService.findLeadByCgId(query.cgId)
+    : await FirestoreService.findLeadByPhone(query.phone);
+  if (!lead) {
+    throw new NotFoundError(`Lead not found: ${query.cgId || query.phone}`, { cgId: query.cgId, phone: query.phone });
+  }
+  return lead;
+}
+
+function _parseTypes(value) {
+  if (!value) return Object.keys(SOURCES);
+  const types = [...new Set(String(value).split(',').map(t => t.trim()).filter(Boolean))];
+  const unknown = types.filter(t => !SOURCES[t]);
+  if (unknown.length > 0 || types.length === 0) {
+    throw new ValidationError(`Unknown types: ${unknown.join(', ')}`, { allowed: Object.keys(SOURCES) });
+  }
+  return types;
+}
+
+/**
+ * One page of a lead's merged timeline.
+ * @param {{ cgId?, phone?, types?, limit?, cursor? }} query
+ * @returns {Promise<{ cgId: string, items: Object[], nextCursor: string|null,
+ *   sources: Object<string, string> }>}
+ */
+async function getTimeline(query) {
+  const types = _parseTypes(query.types);
+  const limit = Math.min(parseInt(query.limit, 10) || T.PAGE_LIMIT, T.MAX_LIMIT);
+  const cursor = decodeCursor(query.cursor);
+  const lead = await _resolveLead(query);
+  const ctx = { cursor, limit, types };
+
+  const sources = {};
+  const results = await Promise.all(types.map(async (type) => {
+    try {
+      const result = await SOURCES[type](lead, ctx);
+      sources[type] = result.truncated ? 'truncated' : 'ok';
+      return result;
+    } catch (err) {
+      console.error(`${LOG_PREFIX} ${lead.docId} ${type} failed: ${err.message}`);
+      sources[type] = `error: ${err.message}`;
+      return { items: [], complete: true };
+    }
+  }));
+
+  // Past the oldest item of a partly-fetched source, the feed can't be trusted yet
+  let boundary = null;
+  for (const { items, complete } of results) {
+    if (complete || items.length === 0) continue;
+    const oldest = [...items].sort(_compareDesc).pop();
+    if (!boundary || _compareDesc(oldest, boundary) < 0) boundary = oldest;
+  }
+
+  const feed = results
+    .flatMap(r => r.items)
+    .filter(item => item.at && _afterCursor(item, cursor))
+    .sort(_compareDesc);
+  const safe = boundary ? feed.filter(item => _compareDesc(item, boundary) <= 0) : feed;
+  const items = safe.slice(0, limit);
+  const more = safe.length > limit || safe.length < feed.length;
+
+  return {
+    cgId: lead.data.cgId || lead.docId,
+    items,
+    nextCursor: more && items.length > 0 ? encodeCursor(items[items.length - 1]) : null,
+    sources,
+  };
+}
+
+/**
+ * @param {string} method - HTTP method
+ * @param {Object} query  - req.query
+ */
+async function handleTimelineRequest(method, query) {
+  if (method !== 'GET') throw new AppError('Method not allowed', 405, { method });
+  return getTimeline(query);
+}
+
+
+module.exports = {
+  handleTimelineRequest,
+  getTimeline,
+};
@@ -0,0 +1,120 @@
+// ============================================================================
+//  handlers/whitelistHandler.js — Whitelist Admin & Expiry Sweep
+//
+//  Backs the `whitelist` HTTP function (index.js):
+//    GET  ?phone=<num>                     → entry (404 if not whitelisted)
+//    GET  ?phone=<num>&audit=true          → entry + audit trail
+//    GET  ?limit=&cursor=                  → list (phone order)
+//    POST { action: 'add', phone, name, expiresAt?, by }
+//    POST { action: 'remove', phone, reason?, by }
+//    POST { action: 'sweep', dryRun? }     → remove expired (Cloud Scheduler)
+//    POST { action: 'reconcile', repair?, by? } → whitelist ↔ Firestore ↔ sheet
+//                                           diff (dry run unless repair: true)
+//
+//  Every add/remove is audited in RTDB whitelistAudit by firebaseService.
+// ============================================================================
+
+const FirebaseService = require('../services/firebaseService');
+const { runWhitelistReconciliation } = require('./whitelistReconcileHandler');
+const { AppError, ValidationError, NotFoundError } = require('../lib/errorHandler');
+
+const LOG_PREFIX = '[Whitelist]';
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function lookupWhitelist(query) {
+  const entry = await FirebaseService.getWhitelistEntry(query.phone);
+  if (!entry) throw new NotFoundError(`Not whitelisted: ${query.phone}`, { phone: query.phone });
+
+  if (query.audit === 'true') {
+    return { item: entry, audit: await FirebaseService.getWhitelistAudit(entry.phone) };
+  }
+  return { item: entry };
+}
+
+async function listWhitelist(query) {
+  return FirebaseService.listWhitelist({ limit: query.limit, startAfter: query.cursor });
+}
+
+async function addWhitelist(body) {
+  _requireFields(body, ['phone', 'name', 'by']);
+  if (body.expiresAt && isNaN(new Date(body.expiresAt).getTime())) {
+    throw new ValidationError(`Invalid expiresAt: ${body.expiresAt}`);
+  }
+
+  await FirebaseService.addToWhitelist(body.phone, body.name, body.source || 'admin', {
+    by: body.by, expiresAt: body.expiresAt,
+  });
+  console.log(`${LOG_PREFIX} ${body.by} added ${body.phone}`);
+  return { added: body.phone };
+}
+
+async function removeWhitelist(body) {
+  _requireFields(body, ['phone', 'by']);
+
+  const entry = await FirebaseService.getWhitelistEntry(body.phone);
+  if (!entry) throw new NotFoundError(`Not whitelisted: ${body.phone}`, { phone: body.phone });
+
+  await FirebaseService.removeFromWhitelist(entry.phone, { by: body.by, reason: body.reason });
+  console.log(`${LOG_PREFIX} ${body.by} removed ${entry.phone}`);
+  return { removed: entry.phone };
+}
+
+async function sweepWhitelist(body) {
+  return FirebaseService.sweepExpiredWhitelist({ dryRun: body.dryRun === true });
+}
+
+async function reconcileWhitelist(body) {
+  const repair = body.repair === true;
+  if (repair) _requireFields(body, ['by']);
+  return runWhitelistReconciliation({ repair, by: body.by });
+}
+
+
+function _requireFields(body, fields) {
+  const missing = fields.filter(f => !body[f]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing fields: ${missing.join(', ')}`, { missing });
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISPATCH — object-based, same idea as lib/router.js
+// ═══════════════════════════════════════════════════════════════════════════
+
+const POST_ACTIONS = {
+  add:    addWhitelist,
+  remove: removeWhitelist,
+  sweep:  sweepWhitelist,
+  reconcile: reconcileWhitelist,
+};
+
+/**
+ * @param {string} method - HTTP method
+ * @param {Object} query  - req.query
+ * @param {Object} body   - req.body
+ */
+async function handleWhitelistRequest(method, query, body) {
+  if (method === 'GET') {
+    return query.phone ? lookupWhitelist(query) : listWhitelist(query);
+  }
+
+  if (method === 'POST') {
+    const action = POST_ACTIONS[body.action];
+    if (!action) {
+      throw new ValidationError(`Unknown action: ${body.action}`, { allowed: Object.keys(POST_ACTIONS) });
+    }
+    return action(body);
+  }
+
+  throw new AppError('Method not allowed', 405, { method });
+}
+
+
+module.exports = {
+  handleWhitelistRequest,
+};
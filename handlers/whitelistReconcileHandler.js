@@ -0,0 +1,178 @@
+// ============================================================================
+//  handlers/whitelistReconcileHandler.js — Registration Reconciliation
+//
+//  Three places say a user is registered; they drift when a whitelist
+//  write dead-letters or someone edits the sheet by hand:
+//    RTDB whitelist           (what CosmoGuru Live login checks)
+//    Firestore leads.regiNo   (form number from the registration form)
+//    OnlineAttendence sheet   (Registered Number, else Number column)
+//
+//  All three are keyed by the canonical E.164 digits (normalizePhone) and
+//  diffed; 10-digit sheet values parse as default-region (IN) numbers.
+//
+//  Issues and repairs:
+//    missing_whitelist → addToWhitelist (skipped if the audit trail shows
+//                        ops removed / the sweep expired it — not drift)
+//    missing_sheet     → append an OnlineAttendence row
+//    missing_regiNo    → report only: the form number can't be recovered
+//                        from the other two stores
+//
+//  Dry run (default) returns the same report with repairs as 'planned'.
+//  Used by the `whitelist` function (action 'reconcile') and by
+//  scripts/reconcile-whitelist.js.
+// ============================================================================
+
+const FirebaseService  = require('../services/firebaseService');
+const FirestoreService = require('../services/firestoreService');
+const SheetService     = require('../services/sheetsService');
+const { normalizePhone, nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Reconcile]';
+const REMOVAL_ACTIONS = ['whitelist_remove', 'whitelist_expire'];
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  LOAD — each source → Map<E.164 digits, record>
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function loadWhitelist() {
+  const entries = new Map();
+  let cursor = null;
+  do {
+    const page = await FirebaseService.listWhitelist({ startAfter: cursor });
+    page.items.forEach(item => entries.set(normalizePhone(item.phone), item));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return entries;
+}
+
+async function loadFirestore() {
+  const leads = await FirestoreService.findRegisteredLeads();
+  // Registration number, not the WhatsApp phone — that is what gets whitelisted
+  return new Map(leads.map(({ data }) => [normalizePhone(data.regiNo || data.phone), data]));
+}
+
+async function loadSheet() {
+  const rows = await SheetService.getAttendanceRegistry();
+  return new Map(rows.map(r => [normalizePhone(r.regiNumber || r.number), r]));
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DIFF
+// ═══════════════════════════════════════════════════════════════════════════
+
+function diffSources(whitelist, firestore, sheet) {
+  const phones = new Set([...whitelist.keys(), ...firestore.keys(), ...sheet.keys()]);
+  const mismatches = [];
+  let inSync = 0;
+
+  for (const key of phones) {
+    if (!key) continue;
+    const wl = whitelist.get(key);
+    const fs = firestore.get(key);
+    const sh = sheet.get(key);
+
+    const issues = [];
+    if (!wl) issues.push('missing_whitelist');
+    if (!fs) issues.push('missing_regiNo');
+    if (!sh) issues.push('missing_sheet');
+
+    if (issues.length === 0) {
+      inSync++;
+      continue;
+    }
+
+    mismatches.push({
+      phone:   key,
+      name:    fs?.name || wl?.name || sh?.name || '',
+      cgId:    fs?.cgId || '',
+      regiNo:  fs?.regiNo || '',
+      present: { whitelist: !!wl, firestore: !!fs, sheet: !!sh },
+      sheetRow: sh?.row || null,
+      issues,
+      repairs: [],
+    });
+  }
+
+  return { mismatches, inSync, total: phones.size };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  REPAIR — issue → async (mismatch, ctx) => repair result
+// ═══════════════════════════════════════════════════════════════════════════
+
+const REPAIRS = {
+  missing_whitelist: async (m, ctx) => {
+    const audit = await FirebaseService.getWhitelistAudit(m.phone);
+    const last = audit[audit.length - 1];
+    if (last && REMOVAL_ACTIONS.includes(last.action)) {
+      return { action: 'whitelist_add', status: 'skipped', reason: `${last.action} by ${last.by} at ${last.at}` };
+    }
+    if (ctx.dryRun) return { action: 'whitelist_add', status: 'planned' };
+
+    await FirebaseService.addToWhitelist(m.phone, m.name || m.phone, 'reconcile', { by: ctx.by });
+    return { action: 'whitelist_add', status: 'done' };
+  },
+
+  missing_sheet: async (m, ctx) => {
+    if (ctx.dryRun) return { action: 'sheet_append', status: 'planned' };
+    await SheetService.appendAttendanceRegistryRow(m.phone, m.name);
+    return { action: 'sheet_append', status: 'done' };
+  },
+
+  missing_regiNo: async (m) => ({
+    action: 'none',
+    status: 'manual_review',
+    reason: m.cgId ? 'lead has no regiNo' : 'no Firestore lead with a regiNo for this phone',
+  }),
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Diff whitelist ↔ Firestore ↔ OnlineAttendence and optionally repair.
+ * @param {{ repair?: boolean, by?: string }} [options]
+ * @returns {Promise<Object>} report — see README "Whitelist reconciliation"
+ */
+async function runWhitelistReconciliation({ repair = false, by = 'reconcile' } = {}) {
+  const [whitelist, firestore, sheet] = await Promise.all([
+    loadWhitelist(), loadFirestore(), loadSheet(),
+  ]);
+  console.log(`${LOG_PREFIX} Loaded whitelist=${whitelist.size} firestore=${firestore.size} sheet=${sheet.size}`);
+
+  const { mismatches, inSync, total } = diffSources(whitelist, firestore, sheet);
+  const ctx = { dryRun: !repair, by };
+  const counts = { in_sync: inSync };
+
+  for (const m of mismatches) {
+    for (const issue of m.issues) {
+      counts[issue] = (counts[issue] || 0) + 1;
+      try {
+        m.repairs.push({ issue, ...(await REPAIRS[issue](m, ctx)) });
+      } catch (err) {
+        console.error(`${LOG_PREFIX} ${issue} repair failed for ${m.phone}: ${err.message}`);
+        m.repairs.push({ issue, status: 'error', error: err.message });
+      }
+    }
+  }
+
+  console.log(`${LOG_PREFIX} ${repair ? 'Repair' : 'Dry run'}: ${JSON.stringify(counts)}`);
+  return {
+    generatedAt: nowISO(),
+    mode: repair ? 'repair' : 'dry_run',
+    totals: { phones: total, whitelist: whitelist.size, firestore: firestore.size, sheet: sheet.size },
+    counts,
+    mismatches,
+  };
+}
+
+
+module.exports = {
+  runWhitelistReconciliation,
+  diffSources,
+};
@@ -9,9 +9,17 @@ require('dotenv').config();
 
 const functions = require('@google-cloud/functions-framework');
 const config = require('./config');
-const { routeEvent, shouldSkipDuplicate } = require('./lib/router');
+const { routeEvent, authenticateRoute, shouldSkipDuplicate } = require('./lib/router');
+const { verifyRequest } = require('./lib/auth');
 const { errorToResponse } = require('./lib/errorHandler');
 const PendingQueue = require('./services/pendingQueue');
+const IdempotencyStore = require('./services/idempotencyStore');
+const { handleDeadLetterRequest } = require('./handlers/deadLetterHandler');
+const { runPaymentDeadlineScan } = require('./handlers/paymentDeadlineHandler');
+const { handleWhitelistRequest } = require('./handlers/whitelistHandler');
+const { handleSessionRequest } = require('./handlers/sessionHandler');
+const { handleLeadRequest } = require('./handlers/leadHandler');
+const { handleTimelineRequest } = require('./handlers/timelineHandler');
 
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -26,19 +34,16 @@ console.log('CosmoGuru Webhook Starting...', {
   firestorePhase: config.FIRESTORE.PHASE
 });
 
+// Pick up retry items left behind by instances that have since shut down
+PendingQueue.start();
+
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  DEDUPLICATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-const processedEvents = new Map();
-
-setInterval(() => {
-  const oneHourAgo = Date.now() - 3600000;
-  for (const [key, timestamp] of processedEvents.entries()) {
-    if (timestamp < oneHourAgo) processedEvents.delete(key);
-  }
-}, 3600000);
+// Event ids are claimed in the shared processedEvents collection
+// (services/idempotencyStore.js) so duplicates are caught across instances.
 
 function generateEventId(params) {
   const type = params.eventType || params.event_type || params.type || params.event || 'unknown';
@@ -46,6 +51,10 @@ function generateEventId(params) {
   const messageId = params.messageId || params.id || '';
   const timestamp = params.timestamp || Date.now();
 
+  // Gateway events: one event per payment/refund entity
+  const gatewayEntity = params.payload?.refund?.entity || params.payload?.payment?.entity;
+  if (params.entity === 'event' && gatewayEntity?.id) return `gw_${type}_${gatewayEntity.id}`;
+
   if (messageId) return `msg_${messageId}`;
   if (type === 'whatsapp_flow_reply') return `flow_${waId}`;
   if (type === 'sheet_edit') return `sheet_${timestamp}`;
@@ -53,6 +62,21 @@ function generateEventId(params) {
   return `${type}_${waId}_${Math.floor(timestamp / 10000)}`;
 }
 
+/**
+ * Claim an event id in the shared store. Fails open: if the store is
+ * unreachable the event is processed rather than dropped.
+ * @returns {Promise<{ claimed: boolean, recorded?: boolean, status?: string, response?: Object }>}
+ */
+async function claimEvent(eventId) {
+  try {
+    const claim = await IdempotencyStore.claim(eventId);
+    return claim.claimed ? { claimed: true, recorded: true } : claim;
+  } catch (err) {
+    console.warn(`[Idempotency] claim failed for ${eventId}, processing without dedup: ${err.message}`);
+    return { claimed: true, recorded: false };
+  }
+}
+
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  MAIN WEBHOOK HANDLER
@@ -68,18 +92,29 @@ functions.http('webhook', async (req, res) => {
     return res.status(405).send('Method not allowed');
   }
 
+  let eventId = null;
+
   try {
     const params = req.body;
     console.log('Webhook received:', JSON.stringify(params).substring(0, 500));
 
+    // Authentication — each route declares its scheme (lib/router.js)
+    authenticateRoute(params, req);
+
     // Deduplication (skip for certain event types)
     if (!shouldSkipDuplicate(params)) {
-      const eventId = generateEventId(params);
-      if (processedEvents.has(eventId)) {
-        console.log(`Duplicate blocked: ${eventId}`);
+      const candidateId = generateEventId(params);
+      const claim = await claimEvent(candidateId);
+
+      if (!claim.claimed) {
+        console.log(`Duplicate blocked: ${candidateId} (${claim.status})`);
+        // Finished earlier — hand back the original result
+        if (claim.status === 'done' && claim.response) {
+          return res.status(200).json({ status: 'success', ...claim.response });
+        }
         return res.status(200).json({ status: 'success', message: 'duplicate_ignored' });
       }
-      processedEvents.set(eventId, Date.now());
+      if (claim.recorded) eventId = candidateId;
     }
 
     // Route to appropriate handler (no if-else chains!)
@@ -89,10 +124,20 @@ functions.http('webhook', async (req, res) => {
       console.log(`Handled by: ${routeName}`);
     }
 
+    // Awaited: CPU may be throttled once the response is sent
+    if (eventId) {
+      await IdempotencyStore.complete(eventId, result)
+        .catch(err => console.warn(`[Idempotency] complete failed for ${eventId}: ${err.message}`));
+    }
+
     return res.status(200).json({ status: 'success', ...result });
 
   } catch (error) {
     console.error('Webhook error:', error);
+    if (eventId) {
+      await IdempotencyStore.release(eventId)
+        .catch(err => console.warn(`[Idempotency] release failed for ${eventId}: ${err.message}`));
+    }
     const { statusCode, body } = errorToResponse(error);
     return res.status(statusCode).json(body);
   }
@@ -105,7 +150,8 @@ functions.http('webhook', async (req, res) => {
 
 functions.http('diagnostic', async (req, res) => {
   try {
-    const queueStats = PendingQueue.getStats();
+    verifyRequest('admin_key', req, 'diagnostic');
+    const queueStats = await PendingQueue.getStats();
     return res.status(200).json({
       status: 'running',
       pendingQueue: queueStats,
@@ -113,6 +159,104 @@ functions.http('diagnostic', async (req, res) => {
     });
   } catch (error) {
     console.error('Diagnostic error:', error);
-    return res.status(500).json({ error: error.message });
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DEAD LETTERS — list / inspect / replay / discard exhausted retries
+// ═══════════════════════════════════════════════════════════════════════════
+
+functions.http('deadLetters', async (req, res) => {
+  try {
+    verifyRequest('admin_key', req, 'deadLetters');
+    const result = await handleDeadLetterRequest(req.method, req.query || {}, req.body || {});
+    return res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Dead letter error:', error);
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
   }
-});
\ No newline at end of file
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PAYMENT DEADLINES — Cloud Scheduler job (reminders + expiry)
+// ═══════════════════════════════════════════════════════════════════════════
+
+functions.http('paymentDeadlines', async (req, res) => {
+  try {
+    verifyRequest('admin_key', req, 'paymentDeadlines');
+    const dryRun = req.body?.dryRun === true || req.query?.dryRun === 'true';
+    const result = await runPaymentDeadlineScan({ dryRun });
+    return res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Payment deadline scan error:', error);
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  WHITELIST — lookup / list / add / remove / expiry sweep
+// ═══════════════════════════════════════════════════════════════════════════
+
+functions.http('whitelist', async (req, res) => {
+  try {
+    verifyRequest('admin_key', req, 'whitelist');
+    const result = await handleWhitelistRequest(req.method, req.query || {}, req.body || {});
+    return res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Whitelist error:', error);
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SESSIONS — masterclass schedule (windows, group links, templates)
+// ═══════════════════════════════════════════════════════════════════════════
+
+functions.http('sessions', async (req, res) => {
+  try {
+    verifyRequest('admin_key', req, 'sessions');
+    const result = await handleSessionRequest(req.method, req.query || {}, req.body || {});
+    return res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  LEADS — lead admin (duplicate merge + nightly duplicate report)
+// ═══════════════════════════════════════════════════════════════════════════
+
+functions.http('leads', async (req, res) => {
+  try {
+    verifyRequest('admin_key', req, 'leads');
+    const result = await handleLeadRequest(req.method, req.query || {}, req.body || {});
+    return res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Leads error:', error);
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  TIMELINE — one lead's history, attendance, payments, messages and calls
+// ═══════════════════════════════════════════════════════════════════════════
+
+functions.http('timeline', async (req, res) => {
+  try {
+    verifyRequest('admin_key', req, 'timeline');
+    const result = await handleTimelineRequest(req.method, req.query || {});
+    return res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('Timeline error:', error);
+    const { statusCode, body } = errorToResponse(error);
+    return res.status(statusCode).json(body);
+  }
+});
@@ -0,0 +1,176 @@
+// ============================================================================
+//  lib/auth.js — Per-Caller Webhook Authentication
+//
+//  Every route in lib/router.js declares `auth: '<scheme>'`. The scheme is
+//  looked up here (object map, no if-else) and verified before the event
+//  is deduplicated or routed. Failures throw AuthError → 401.
+//
+//  SCHEMES:
+//    gas_hmac  — Apps Script events. Headers:
+//                  X-CG-Timestamp: <unix ms>
+//                  X-CG-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${rawBody}`>
+//                Timestamp must be within AUTH.MAX_SKEW_MS (replay guard).
+//    wati      — WATI webhooks. Shared token (?token= or X-WATI-Token) OR
+//                source IP in WATI_ALLOWED_IPS.
+//    live_key  — CosmoGuru Live. X-API-Key: LIVE_API_KEY
+//    web_key   — CGI website form. X-API-Key: WEB_FORM_API_KEY
+//    admin_key — Ops endpoints (diagnostic, deadLetters, paymentDeadlines,
+//                whitelist, sessions, leads, timeline). X-API-Key: ADMIN_API_KEY
+//    gateway_hmac — Payment gateway webhooks. Header:
+//                  X-Razorpay-Signature: <hex HMAC-SHA256 of rawBody>
+//                No timestamp — replays are absorbed by ledger idempotency.
+//
+//  AUTH.MODE = 'report' logs failures without rejecting (rollout aid).
+// ============================================================================
+
+const crypto = require('crypto');
+const config = require('../config');
+const { AuthError, ConfigError } = require('./errorHandler');
+
+const LOG_PREFIX = '[Auth]';
+const H = config.AUTH.HEADERS;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Constant-time string comparison (false on length mismatch).
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  if (bufA.length === 0 || bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * HMAC-SHA256 hex digest of `${timestamp}.${body}`.
+ * Exported so callers (tests, local scripts) can sign payloads.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * HMAC-SHA256 hex digest of the raw body (gateway webhook format).
+ */
+function signGatewayPayload(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function rawBodyOf(req) {
+  if (req.rawBody) return req.rawBody.toString('utf8');
+  return typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {});
+}
+
+function clientIp(req) {
+  const forwarded = (req.get?.('x-forwarded-for') || '').split(',')[0].trim();
+  return forwarded || req.ip || '';
+}
+
+function requireSecret(value, name) {
+  if (!value) throw new ConfigError(`${name} not set`);
+  return value;
+}
+
+function checkApiKey(req, expected, name) {
+  const key = requireSecret(expected, name);
+  if (!safeEqual(req.get?.(H.API_KEY), key)) {
+    throw new AuthError('Invalid API key', { scheme: name });
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SCHEMES — each: (req) => void, throws AuthError on failure
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SCHEMES = {
+  gas_hmac: (req) => {
+    const secret = requireSecret(config.AUTH.GAS_HMAC_SECRET, 'GAS_HMAC_SECRET');
+    const timestamp = req.get?.(H.TIMESTAMP) || '';
+    const signature = (req.get?.(H.SIGNATURE) || '').replace(/^sha256=/, '');
+
+    if (!timestamp || !signature) {
+      throw new AuthError('Missing signature headers', { scheme: 'gas_hmac' });
+    }
+    if (Math.abs(Date.now() - Number(timestamp)) > config.AUTH.MAX_SKEW_MS) {
+      throw new AuthError('Signature timestamp outside allowed window', { scheme: 'gas_hmac' });
+    }
+
+    const expected = signPayload(secret, timestamp, rawBodyOf(req));
+    if (!safeEqual(signature, expected)) {
+      throw new AuthError('Invalid signature', { scheme: 'gas_hmac' });
+    }
+  },
+
+  wati: (req) => {
+    const token = config.AUTH.WATI_WEBHOOK_TOKEN;
+    const allowedIps = config.AUTH.WATI_ALLOWED_IPS;
+    if (!token && allowedIps.length === 0) {
+      throw new ConfigError('WATI_WEBHOOK_TOKEN or WATI_ALLOWED_IPS must be set');
+    }
+
+    const presented = req.query?.token || req.get?.(H.WATI_TOKEN);
+    if (token && safeEqual(presented, token)) return;
+    if (allowedIps.includes(clientIp(req))) return;
+
+    throw new AuthError('WATI token/IP check failed', { scheme: 'wati', ip: clientIp(req) });
+  },
+
+  gateway_hmac: (req) => {
+    const secret = requireSecret(config.AUTH.GATEWAY_WEBHOOK_SECRET, 'GATEWAY_WEBHOOK_SECRET');
+    const signature = req.get?.(H.GATEWAY_SIGNATURE) || '';
+    if (!signature) {
+      throw new AuthError('Missing gateway signature', { scheme: 'gateway_hmac' });
+    }
+
+    const expected = signGatewayPayload(secret, rawBodyOf(req));
+    if (!safeEqual(signature, expected)) {
+      throw new AuthError('Invalid gateway signature', { scheme: 'gateway_hmac' });
+    }
+  },
+
+  live_key:  (req) => checkApiKey(req, config.AUTH.LIVE_API_KEY, 'LIVE_API_KEY'),
+  web_key:   (req) => checkApiKey(req, config.AUTH.WEB_FORM_API_KEY, 'WEB_FORM_API_KEY'),
+  admin_key: (req) => checkApiKey(req, config.AUTH.ADMIN_API_KEY, 'ADMIN_API_KEY'),
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  VERIFY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Verify a request against a named scheme.
+ * In 'report' mode failures are logged and the request is let through.
+ *
+ * @param {string} schemeName - Key in SCHEMES
+ * @param {Object} req - HTTP request (functions-framework / express)
+ * @param {string} [label] - Route/endpoint name for logs
+ */
+function verifyRequest(schemeName, req, label = '') {
+  const scheme = SCHEMES[schemeName];
+  if (!scheme) throw new ConfigError(`Unknown auth scheme: ${schemeName}`);
+
+  try {
+    scheme(req);
+  } catch (error) {
+    if (config.AUTH.MODE === 'report') {
+      console.warn(`${LOG_PREFIX} REPORT-ONLY ${label} (${schemeName}): ${error.message}`);
+      return;
+    }
+    console.warn(`${LOG_PREFIX} Rejected ${label} (${schemeName}): ${error.message}`);
+    throw error;
+  }
+}
+
+
+module.exports = {
+  SCHEMES,
+  verifyRequest,
+  signPayload,
+  signGatewayPayload,
+};
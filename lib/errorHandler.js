@@ -4,6 +4,8 @@
 //  ALL errors should use these classes for consistent API responses.
 // ============================================================================
 
+const { parsePhone } = require('../utils/helpers');
+
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  ERROR CLASSES
@@ -126,20 +128,21 @@ function validateRequired(params, requiredFields, context = {}) {
 }
 
 /**
- * Validate phone number
+ * Validate phone number — strict E.164 parse (default region for numbers
+ * without a country code). Returns the canonical digits (E.164 without +).
  */
 function validatePhoneNumber(phone, context = {}) {
   if (!phone) {
     throw new ValidationError('Phone number is required', context);
   }
-  const cleaned = phone.toString().replace(/\D/g, '');
-  if (cleaned.length < 10) {
+  const parsed = parsePhone(phone);
+  if (!parsed) {
     throw new ValidationError(
-      `Invalid phone number: ${phone}. Expected at least 10 digits.`,
+      `Invalid phone number: ${phone}. Expected an international number or a national number of the default region.`,
       { ...context, phoneNumber: phone }
     );
   }
-  return cleaned;
+  return parsed.digits;
 }
 
 
@@ -0,0 +1,51 @@
+// ============================================================================
+//  lib/firebaseApp.js — Shared firebase-admin App
+//
+//  One default app for Firestore (services/firestoreService.js) and the
+//  Realtime Database (services/firebaseService.js). Credentials come from
+//  the runtime service account (Application Default Credentials) — no
+//  legacy database secret.
+//
+//  Emulator: set FIREBASE_DATABASE_EMULATOR_HOST (e.g. 127.0.0.1:9000)
+//  and/or FIRESTORE_EMULATOR_HOST. firebase-admin routes to them itself;
+//  this module only supplies a project id and database URL when none is
+//  configured, so local runs need no credentials.
+// ============================================================================
+
+const admin = require('firebase-admin');
+const config = require('../config');
+
+const LOG_PREFIX = '[FirebaseApp]';
+
+
+function isEmulated() {
+  return !!(config.FIREBASE.DATABASE_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST);
+}
+
+function getApp() {
+  if (admin.apps.length) return admin.app();
+
+  const options = { databaseURL: config.FIREBASE.DATABASE_URL || undefined };
+
+  if (isEmulated()) {
+    options.projectId = config.FIREBASE.EMULATOR_PROJECT_ID;
+    options.databaseURL = options.databaseURL ||
+      `https://${config.FIREBASE.EMULATOR_PROJECT_ID}-default-rtdb.firebaseio.com`;
+    console.log(`${LOG_PREFIX} Using emulator (project ${options.projectId})`);
+  }
+
+  return admin.initializeApp(options);
+}
+
+/**
+ * Whether an RTDB is available (configured URL or emulator).
+ */
+function hasRealtimeDatabase() {
+  return !!(config.FIREBASE.DATABASE_URL || config.FIREBASE.DATABASE_EMULATOR_HOST);
+}
+
+
+module.exports = {
+  getApp,
+  hasRealtimeDatabase,
+};
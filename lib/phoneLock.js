@@ -1,19 +1,103 @@
 // ============================================================================
-//  lib/phoneLock.js — Per-Phone Async Serialization
+//  lib/phoneLock.js — Per-Phone Async Serialization (cross-instance)
 //
 //  Prevents two concurrent webhooks for the same phone from creating
-//  duplicate Sheet rows. Different phones run in parallel.
+//  duplicate Sheet rows or duplicate CGIDs. Different phones run in parallel.
 //
-//  Scope: per-instance (in-memory). Cross-instance races are handled
-//  by Firestore's existence check in createLead.
+//  Two levels:
+//    1. In-memory promise chain — callers on the same instance queue up
+//       locally instead of polling Firestore against each other.
+//    2. Firestore lease (phoneLocks/{phoneNormalized}) — one holder across
+//       all instances. A crashed holder's lease simply expires.
+//
+//  If Firestore is unreachable the lease is skipped (logged) and only the
+//  local lock applies; createLead's phones/{phoneNormalized} claim still
+//  guarantees one CGID per phone.
 // ============================================================================
 
+const crypto = require('crypto');
+const FirestoreService = require('../services/firestoreService');
+const config = require('../config');
 const { normalizePhone } = require('../utils/helpers');
 
 const locks = new Map();
 const LOCK_TIMEOUT_MS = 30000;
+const LEASE_MS = LOCK_TIMEOUT_MS + 5000;   // outlives fn() so a slow holder keeps it
+const ACQUIRE_POLL_MS = 250;
 const CLEANUP_INTERVAL = 60000;
+const COLLECTION = config.FIRESTORE.LOCKS_COLLECTION;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISTRIBUTED LEASE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Try once to take the lease. Returns true if this token now holds it.
+ */
+async function _tryAcquireLease(key, token) {
+  const db = FirestoreService.getDb();
+  const ref = db.collection(COLLECTION).doc(key);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    if (snap.exists && snap.data().leaseExpiresAt > now && snap.data().owner !== token) {
+      return false;
+    }
+    tx.set(ref, { owner: token, leaseExpiresAt: now + LEASE_MS, acquiredAt: new Date(now).toISOString() });
+    return true;
+  });
+}
+
+/**
+ * Wait for the lease. Returns the token on success, null if Firestore is
+ * unavailable (fail open), throws on timeout.
+ */
+async function _acquireLease(key) {
+  if (!config.FIRESTORE.ENABLED) return null;
+
+  const token = crypto.randomBytes(8).toString('hex');
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    let acquired;
+    try {
+      acquired = await _tryAcquireLease(key, token);
+    } catch (err) {
+      console.warn(`[PhoneLock] Lease unavailable for ...${key.slice(-4)}, local lock only: ${err.message}`);
+      return null;
+    }
+    if (acquired) return token;
+    await sleep(ACQUIRE_POLL_MS + Math.floor(Math.random() * ACQUIRE_POLL_MS));
+  }
 
+  throw new Error(`Phone lock timeout (lease held elsewhere): ${key}`);
+}
+
+/**
+ * Release only if we still own it (an expired lease may have moved on).
+ */
+async function _releaseLease(key, token) {
+  const db = FirestoreService.getDb();
+  const ref = db.collection(COLLECTION).doc(key);
+
+  try {
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists && snap.data().owner === token) tx.delete(ref);
+    });
+  } catch (err) {
+    console.warn(`[PhoneLock] Lease release failed for ...${key.slice(-4)} (expires on its own): ${err.message}`);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════
 
 /**
  * Execute an async function with exclusive access per phone number.
@@ -30,12 +114,16 @@ async function withLock(phone, fn) {
 
   let releaseLock;
   const currentLock = new Promise(resolve => { releaseLock = resolve; });
+  const chain = prevLock.then(() => currentLock);
 
-  locks.set(key, prevLock.then(() => currentLock));
+  locks.set(key, chain);
 
   await prevLock;
 
+  let leaseToken = null;
   try {
+    leaseToken = await _acquireLease(key);
+
     const result = await Promise.race([
       fn(),
       new Promise((_, reject) =>
@@ -44,16 +132,13 @@ async function withLock(phone, fn) {
     ]);
     return result;
   } finally {
+    if (leaseToken) await _releaseLease(key, leaseToken);
     releaseLock();
 
-    const currentChain = locks.get(key);
-    if (currentChain) {
-      currentChain.then(() => {
-        if (locks.get(key) === prevLock.then(() => currentLock)) {
-          locks.delete(key);
-        }
-      });
-    }
+    // Last in line — drop the map entry
+    chain.then(() => {
+      if (locks.get(key) === chain) locks.delete(key);
+    });
   }
 }
 
@@ -77,4 +162,4 @@ setInterval(() => {
 }, CLEANUP_INTERVAL);
 
 
-module.exports = { withLock, getStats };
\ No newline at end of file
+module.exports = { withLock, getStats };
@@ -16,6 +16,7 @@ const {
   isFromAdvertisement, 
   fuzzyMatchesRegistrationCheck 
 } = require('../utils/helpers');
+const { SCHEMES, verifyRequest } = require('./auth');
 
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -31,6 +32,7 @@ function getHandlers() {
       contact: require('../handlers/contactHandler'),
       form: require('../handlers/formHandler'),
       payment: require('../handlers/paymentHandler'),
+      gateway: require('../handlers/gatewayHandler'),
       sync: require('../handlers/syncHandler'),
       stage: require('../handlers/stageHandler'),
     };
@@ -41,7 +43,8 @@ function getHandlers() {
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  ROUTE DEFINITIONS
-//  Each route: { match: (params) => boolean, handler: async (params) => result }
+//  Each route: { match: (params) => boolean, handler: async (params) => result,
+//                auth: '<scheme>' }   ← REQUIRED, see lib/auth.js SCHEMES
 //  Routes are checked in order - first match wins
 // ═══════════════════════════════════════════════════════════════════════════
 
@@ -51,6 +54,7 @@ const ROUTES = [
     name: 'stage_transition',
     match: (p) => p.eventType === config.EVENT_TYPES.STAGE_TRANSITION,
     handler: async (p) => getHandlers().stage.handleStageTransition(p),
+    auth: 'gas_hmac',
     skipDuplicate: true,
   },
 
@@ -59,6 +63,7 @@ const ROUTES = [
     name: 'sheet_edit',
     match: (p) => p.eventType === config.EVENT_TYPES.SHEET_EDIT,
     handler: async (p) => getHandlers().sync.handleSheetEdit(p),
+    auth: 'gas_hmac',
     skipDuplicate: true,
   },
 
@@ -67,6 +72,7 @@ const ROUTES = [
     name: 'user_login',
     match: (p) => p.event === config.EVENT_TYPES.USER_LOGIN,
     handler: async (p) => getHandlers().contact.handleUserLogin(p),
+    auth: 'live_key',
     skipDuplicate: true,
   },
 
@@ -75,6 +81,7 @@ const ROUTES = [
     name: 'web_form',
     match: (p) => p.eventType === config.EVENT_TYPES.CG_WEB,
     handler: async (p) => getHandlers().contact.handleWebForm(p),
+    auth: 'web_key',
   },
 
   // ─── New WATI Contact ─────────────────────────────────────────────────────
@@ -82,6 +89,7 @@ const ROUTES = [
     name: 'new_contact',
     match: (p) => p.eventType === config.EVENT_TYPES.NEW_CONTACT,
     handler: async (p) => getHandlers().contact.handleNewContact(p),
+    auth: 'wati',
   },
 
   // ─── Registration Check (before fuzzy keywords) ───────────────────────────
@@ -91,6 +99,7 @@ const ROUTES = [
                   p.text && 
                   fuzzyMatchesRegistrationCheck(p.text),
     handler: async (p) => getHandlers().contact.handleRegistrationCheck(p),
+    auth: 'wati',
   },
 
   // ─── Keyword Message ──────────────────────────────────────────────────────
@@ -100,6 +109,7 @@ const ROUTES = [
                   p.text && 
                   containsFuzzyKeywords(p.text),
     handler: async (p) => getHandlers().contact.handleKeywordContact(p),
+    auth: 'wati',
   },
 
   // ─── Advertisement Contact ────────────────────────────────────────────────
@@ -107,6 +117,7 @@ const ROUTES = [
     name: 'advertisement',
     match: (p) => isFromAdvertisement(p.sourceUrl),
     handler: async (p) => getHandlers().contact.handleAdvertisementContact(p),
+    auth: 'wati',
   },
 
   // ─── Manual CRM Entry ─────────────────────────────────────────────────────
@@ -114,6 +125,7 @@ const ROUTES = [
     name: 'manual_entry',
     match: (p) => p.eventType === config.EVENT_TYPES.CRM_ENTRY,
     handler: async (p) => getHandlers().contact.handleManualEntry(p),
+    auth: 'gas_hmac',
   },
 
   // ─── Interested User (List Reply) ─────────────────────────────────────────
@@ -121,6 +133,7 @@ const ROUTES = [
     name: 'interested_user',
     match: (p) => p.listReply?.id === config.LIST_REPLY_IDS.INTERESTED,
     handler: async (p) => getHandlers().contact.handleInterestedUser(p),
+    auth: 'wati',
   },
 
   // ─── WhatsApp Flow Reply ──────────────────────────────────────────────────
@@ -128,6 +141,7 @@ const ROUTES = [
     name: 'flow_reply',
     match: (p) => p.type === 'whatsapp_flow_reply',
     handler: async (p) => getHandlers().form.handleFlowReply(p),
+    auth: 'wati',
   },
 
   // ─── Form Filled ──────────────────────────────────────────────────────────
@@ -135,6 +149,7 @@ const ROUTES = [
     name: 'form_filled',
     match: (p) => p.eventType === config.EVENT_TYPES.FORM_FILLED,
     handler: async (p) => getHandlers().form.handleFormSubmission(p),
+    auth: 'wati',
   },
 
   // ─── Payment Received ─────────────────────────────────────────────────────
@@ -142,6 +157,16 @@ const ROUTES = [
     name: 'payment',
     match: (p) => p.eventType === config.EVENT_TYPES.PAYMENT,
     handler: async (p) => getHandlers().payment.handlePayment(p),
+    auth: 'gas_hmac',
+  },
+
+  // ─── Payment Gateway (payment.captured, refund.processed, ...) ───────────
+  {
+    name: 'gateway_payment',
+    match: (p) => p.entity === 'event' &&
+                  Object.values(config.GATEWAY.EVENTS).includes(p.event),
+    handler: async (p) => getHandlers().gateway.handleGatewayEvent(p),
+    auth: 'gateway_hmac',
   },
 
   // ─── Community Group Join ─────────────────────────────────────────────────
@@ -149,10 +174,19 @@ const ROUTES = [
     name: 'group_join',
     match: (p) => p.eventType === config.EVENT_TYPES.GRP_JOIN,
     handler: async (p) => getHandlers().contact.handleCommunityJoin(p),
+    auth: 'wati',
   },
 ];
 
 
+// Fail at load time, not at request time, if a route forgets its scheme
+for (const route of ROUTES) {
+  if (!SCHEMES[route.auth]) {
+    throw new Error(`[Router] Route '${route.name}' has no valid auth scheme (got: ${route.auth})`);
+  }
+}
+
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  ROUTER
 // ═══════════════════════════════════════════════════════════════════════════
@@ -200,6 +234,19 @@ async function routeEvent(params) {
   };
 }
 
+/**
+ * Verify the caller against the matched route's auth scheme.
+ * Unmatched events need no auth — they are ignored anyway.
+ * @param {object} params - Webhook payload
+ * @param {object} req - HTTP request (headers, rawBody, query)
+ * @throws {AuthError}
+ */
+function authenticateRoute(params, req) {
+  const match = findRoute(params);
+  if (!match) return;
+  verifyRequest(match.route.auth, req, match.name);
+}
+
 /**
  * Check if route should skip duplicate check
  * @param {object} params - Webhook payload
@@ -218,6 +265,7 @@ function shouldSkipDuplicate(params) {
 module.exports = {
   routeEvent,
   findRoute,
+  authenticateRoute,
   shouldSkipDuplicate,
   ROUTES,  // Export for testing/introspection
 };
\ No newline at end of file
@@ -3,81 +3,108 @@
 //
 //  Tracks which service succeeded. On retry, SKIPS the service that
 //  already worked. Firestore is never written twice for the same operation.
+//
+//  Writes are described as { op, payload, state } descriptors (see
+//  lib/writeOps.js) so a failed write can be persisted by PendingQueue
+//  and replayed on any instance with its progress intact.
 // ============================================================================
 
 const FirestoreService = require('../services/firestoreService');
-const SheetService     = require('../services/sheetsService');
 const PendingQueue     = require('../services/pendingQueue');
+const { getWriteOp }   = require('./writeOps');
 const { withLock }     = require('./phoneLock');
 
 
 /**
- * Build a write function that writes to BOTH Firestore and Sheet.
- * Tracks success per-service so retries only run the failed part.
+ * Build a write function for a named write op.
+ * The returned function carries its serializable descriptor as
+ * `writeFn.descriptor`; progress (firestoreDone / sheetDone / cgId) is
+ * recorded on descriptor.state so retries only run the failed part.
+ *
+ * @param {string} op - Key in WRITE_OPS
+ * @param {Object} payload - Plain-JSON op input
+ * @param {Object} [state] - Prior progress (when replaying from the queue)
+ * @returns {Function} Async write function, safe for retry
+ */
+function buildWriteOp(op, payload, state = {}) {
+  getWriteOp(op);  // fail fast on unknown op names
+
+  const descriptor = {
+    op,
+    payload,
+    state: { firestoreDone: false, sheetDone: false, ...state },
+  };
+
+  const writeFn = () => runWrite(descriptor);
+  writeFn.descriptor = descriptor;
+  return writeFn;
+}
+
+
+/**
+ * Build a write function that writes a lead to BOTH Firestore and Sheet.
  *
- * @param {Object|null} leadData - Lead fields (null if using custom writes)
+ * @param {Object} leadData - Lead fields
  * @param {Object|null} historyEntry - { action, by, details }
- * @param {Function|null} customFirestoreWrite - Override default Firestore write
- * @param {Function|null} customSheetWrite - Override default Sheet write
+ * @param {string} [engagement] - engagement signal to count (config.ENGAGEMENT.WEIGHTS key)
  * @returns {Function} Async write function, safe for retry
  */
-function buildWriteBoth(leadData, historyEntry, customFirestoreWrite, customSheetWrite) {
-  const phone = leadData?.phone || leadData?.waId || '';
-
-  // Track what succeeded across retries (closure state)
-  let firestoreDone = false;
-  let sheetDone = false;
-
-  return async () => {
-    const doWrite = async () => {
-      const errors = [];
-
-      // ── Firestore: skip if already succeeded ──────────────────
-      if (!firestoreDone) {
-        try {
-          if (customFirestoreWrite) {
-            await customFirestoreWrite();
-          } else {
-            const result = await FirestoreService.createOrUpdateLead(leadData, historyEntry);
-            if (result?.cgId) leadData.cgId = result.cgId;
-          }
-          firestoreDone = true;
-        } catch (e) {
-          errors.push(`firestore: ${e.message}`);
-        }
-      }
+function buildWriteBoth(leadData, historyEntry, engagement) {
+  return buildWriteOp('lead_upsert', {
+    leadData, historyEntry: historyEntry || null, engagement: engagement || null,
+  });
+}
 
-      // ── Sheet: skip if already succeeded ──────────────────────
-      if (!sheetDone) {
-        try {
-          let sheetResult;
-          if (customSheetWrite) {
-            sheetResult = await customSheetWrite();
-          } else {
-            sheetResult = await SheetService.upsertContact(leadData);
-          }
-          sheetDone = true;
-          
-          // Patch Firestore with actual row number (fire-and-forget)
-          if (sheetResult?.row && phone) {
-            FirestoreService.updateLead(phone, { sheetRow: sheetResult.row })
-              .catch(err => console.warn(`[writeBoth] sheetRow patch failed: ${err.message}`));
-          }
-        } catch (e) {
-          errors.push(`sheet: ${e.message}`);
-        }
+
+/**
+ * Execute a write descriptor. Mutates descriptor.state as halves succeed.
+ * Throws if any half failed.
+ *
+ * @param {{ op: string, payload: Object, state: Object }} descriptor
+ */
+async function runWrite(descriptor) {
+  const { payload, state } = descriptor;
+  const op = getWriteOp(descriptor.op);
+  const phone = payload.leadData?.phone || payload.leadData?.waId || '';
+
+  const doWrite = async () => {
+    const errors = [];
+
+    // ── Firestore: skip if already succeeded ──────────────────
+    if (!state.firestoreDone) {
+      try {
+        if (op.firestore) await op.firestore(payload, state);
+        state.firestoreDone = true;
+      } catch (e) {
+        errors.push(`firestore: ${e.message}`);
       }
+    }
+
+    // ── Sheet: skip if already succeeded ──────────────────────
+    if (!state.sheetDone) {
+      try {
+        const sheetResult = op.sheet ? await op.sheet(payload, state) : null;
+        state.sheetDone = true;
 
-      if (errors.length > 0) {
-        throw new Error(errors.join('; '));
+        // Patch Firestore with actual row number (fire-and-forget)
+        if (sheetResult?.row && phone) {
+          FirestoreService.updateLead(phone, { sheetRow: sheetResult.row })
+            .catch(err => console.warn(`[writeBoth] sheetRow patch failed: ${err.message}`));
+        }
+      } catch (e) {
+        errors.push(`sheet: ${e.message}`);
       }
-    };
+    }
 
-    if (phone) {
-      return withLock(phone, doWrite);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
     }
-    return doWrite();
   };
+
+  if (phone) {
+    return withLock(phone, doWrite);
+  }
+  return doWrite();
 }
 
 
@@ -85,11 +112,11 @@ function buildWriteBoth(leadData, historyEntry, customFirestoreWrite, customShee
  * Attempt write, queue for retry on failure.
  */
 function tryWriteOrQueue(writeFn, operationId, metadata) {
-  return writeFn().catch(err => {
-    PendingQueue.enqueue(operationId, writeFn, metadata);
-    console.error(`[Handler] Write failed, queued ${operationId}: ${err.message}`);
+  return writeFn().catch(async err => {
+    console.error(`[Handler] Write failed, queueing ${operationId}: ${err.message}`);
+    await PendingQueue.enqueue(operationId, writeFn.descriptor, metadata);
   });
 }
 
 
-module.exports = { buildWriteBoth, tryWriteOrQueue };
\ No newline at end of file
+module.exports = { buildWriteBoth, buildWriteOp, runWrite, tryWriteOrQueue };
@@ -0,0 +1,325 @@
+// ============================================================================
+//  lib/writeOps.js — Named Write Operations (serializable retry)
+//
+//  Every dual write (Firestore half + Sheet half) is described by an op
+//  name and a plain-JSON payload instead of a closure. That lets the
+//  PendingQueue persist the operation and ANY instance replay it later.
+//
+//  Open-Closed: add a new custom write by adding to WRITE_OPS, not by
+//  passing closures around.
+//
+//  Each op: {
+//    firestore: async (payload, state) => void,          // optional
+//    sheet:     async (payload, state) => { row }|void,  // optional
+//  }
+//  `state` is the persisted progress object — halves may stash values
+//  there (e.g. state.cgId) for the other half or for later retries.
+// ============================================================================
+
+const FirestoreService = require('../services/firestoreService');
+const SheetService     = require('../services/sheetsService');
+const FirebaseService  = require('../services/firebaseService');
+const EntitlementService = require('../services/entitlementService');
+const AttendanceStore  = require('../services/attendanceStore');
+const EngagementService = require('../services/engagementService');
+const LeadMergeService = require('../services/leadMergeService');
+const config           = require('../config');
+const { formatDate, formatTimeIST, phoneNumbersMatch } = require('../utils/helpers');
+
+// Lead fields mirrored to the stage sheet after a payment
+const PAYMENT_SHEET_FIELDS = [
+  'amountPaid', 'pendingAmount', 'paymentStatus', 'fullyPaid',
+  'modeOfPay', 'paymentRefId', 'dateOfPayment', 'timeOfPay', 'receivedAccount',
+  'paymentCount', 'nextDueDate', 'nextDueAmount',
+];
+
+// Survivor fields rewritten on the stage sheet after a merge
+const MERGE_SHEET_FIELDS = ['name', 'email', 'location', 'inquiry', 'product', 'source', 'engagementScore'];
+
+
+/**
+ * Copy lead fields onto its row in the current stage sheet.
+ * Re-reads the lead so retries always write the committed values.
+ */
+async function syncLeadCells(phone, fields, opName) {
+  const lead = await FirestoreService.findLeadByPhone(phone);
+  if (!lead) return;
+  const target = config.getSheetForStage(lead.data.pipelineStage);
+  if (!target) return;  // completed / dead — no sheet to update
+
+  // Primary phone — `phone` may be an alias, which the sheet doesn't hold
+  const found = await SheetService.findByPhone(lead.data.phone, target.spreadsheetId, target.tabName);
+  if (!found) {
+    console.warn(`[writeOps] ${opName}: ${lead.data.cgId} not on ${target.tabName}`);
+    return;
+  }
+
+  const colMap = await SheetService.getColumnMap(target.tabName, target.spreadsheetId);
+  const cellUpdates = {};
+  for (const field of fields) {
+    if (colMap.map[field] !== undefined) cellUpdates[colMap.map[field]] = lead.data[field] ?? '';
+  }
+  await SheetService.updateContactCells(found.row, cellUpdates, target.spreadsheetId, target.tabName);
+}
+
+/**
+ * Write field-keyed values to a known DSR row (unknown fields skipped).
+ */
+async function updateDsrFields(row, fields) {
+  const colMap = await SheetService.getColumnMap(config.SHEETS.DSR);
+  const cellUpdates = {};
+  for (const [fieldKey, value] of Object.entries(fields)) {
+    if (colMap.map[fieldKey] !== undefined) cellUpdates[colMap.map[fieldKey]] = value;
+  }
+  await SheetService.updateContactCells(row, cellUpdates);
+}
+
+/**
+ * Count an engagement signal once per op — state.engaged survives a
+ * retry of the Firestore half, so the signal isn't counted twice.
+ * The new score is stashed for the Sheet half.
+ */
+async function applyEngagement(phone, signal, state) {
+  if (!signal || state.engaged) return;
+  const result = await EngagementService.recordEngagement(phone, signal);
+  state.engaged = true;
+  if (result) state.engagementScore = result.engagementScore;
+}
+
+/**
+ * Run the lead create/update of a Firestore half once per operation.
+ * createOrUpdateLead / updateLead append history and aren't idempotent, so
+ * when a later step of the same half fails (engagement, alias) the retry
+ * skips straight past them — same idea as state.engaged. state.phone is the
+ * lead's primary phone, which differs from the payload's when it matched an
+ * alias; Sheet halves key their row on it.
+ * @param {Object} state - write-op state (persisted across retries)
+ * @param {Function} write - async () => { cgId?, phone? } | null
+ */
+async function writeLeadOnce(state, write) {
+  if (state.leadWritten) return;
+  const result = await write();
+  if (result?.cgId) state.cgId = result.cgId;
+  if (result?.phone) state.phone = result.phone;
+  state.leadWritten = true;
+}
+
+/** Sheet-half companion of applyEngagement. */
+function engagementFields(state) {
+  return state.engagementScore === undefined ? {} : { engagementScore: state.engagementScore };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  OPERATION DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const WRITE_OPS = {
+  // ─── Default lead create/update (all contact handlers) ────────────────────
+  // payload: { leadData, historyEntry, engagement? }  — engagement: signal name
+  lead_upsert: {
+    firestore: async (p, state) => {
+      await writeLeadOnce(state, () => FirestoreService.createOrUpdateLead(p.leadData, p.historyEntry));
+      await applyEngagement(p.leadData.phone, p.engagement, state);
+    },
+    sheet: async (p, state) => {
+      const leadData = {
+        ...p.leadData,
+        ...(state.cgId && { cgId: state.cgId }),
+        ...(state.phone && { phone: state.phone }),
+      };
+      const upsertResult = await SheetService.upsertContact(leadData);
+      const extra = engagementFields(state);
+      if (Object.keys(extra).length) await updateDsrFields(upsertResult.row, extra);
+      return upsertResult;
+    },
+  },
+
+  // ─── Community group join (status + optional ROBO assignment) ─────────────
+  // payload: { phone, fsUpdates, historyEntry, sheetRow, sheetFields: { fieldKey: value } }
+  community_join: {
+    firestore: async (p, state) => {
+      await writeLeadOnce(state, () => FirestoreService.updateLead(p.phone, p.fsUpdates, p.historyEntry));
+      await applyEngagement(p.phone, 'community_join', state);
+    },
+    sheet: async (p, state) => {
+      if (!p.sheetRow) return;
+      await updateDsrFields(p.sheetRow, { ...(p.sheetFields || {}), ...engagementFields(state) });
+    },
+  },
+
+  // ─── WhatsApp form submission (whitelist + lead, then Sheet) ──────────────
+  // payload: { phone, name, formNum, option, statusValue, whitelistPhone, signal? }
+  //   signal: 'form_submission' (default) | 'flow_reply'
+  form_submission: {
+    firestore: async (p, state) => {
+      const errors = [];
+
+      // Firebase RTDB whitelist (CRITICAL — user can't login without this)
+      try {
+        if (p.whitelistPhone && p.name) {
+          await FirebaseService.addToWhitelist(p.whitelistPhone, p.name, 'whatsapp_form');
+        }
+      } catch (e) { errors.push(`whitelist: ${e.message}`); }
+
+      // Firestore lead record
+      try {
+        await writeLeadOnce(state, () => FirestoreService.createOrUpdateLead({
+          phone: p.phone, name: p.name, regiNo: p.formNum,
+          status: p.statusValue, inquiry: config.DEFAULTS.INQUIRY,
+        }, {
+          action: 'form_submitted', by: 'system',
+          details: { formNum: p.formNum, option: p.option, statusValue: p.statusValue }
+        }));
+        // The number typed in the form resolves to this lead from now on
+        // (addPhoneAlias is idempotent)
+        if (p.formNum && !phoneNumbersMatch(p.formNum, p.phone)) {
+          await FirestoreService.addPhoneAlias(p.phone, p.formNum, 'registration');
+        }
+        await applyEngagement(p.phone, p.signal || 'form_submission', state);
+      } catch (e) { errors.push(`firestore: ${e.message}`); }
+
+      if (errors.length) throw new Error(errors.join('; '));
+    },
+    sheet: async (p, state) => {
+      const upsertResult = await SheetService.upsertContact({
+        phone: state.phone || p.phone, name: p.name, cgId: state.cgId || null, source: 'WhatsApp',
+        remark: `Form submitted: ${p.option}`, inquiry: config.DEFAULTS.INQUIRY,
+      });
+      await updateDsrFields(upsertResult.row, {
+        name:   p.name,
+        status: p.statusValue,
+        ...engagementFields(state),
+      });
+      return upsertResult;
+    },
+  },
+
+  // ─── Payment against a known lead ─────────────────────────────────────────
+  // payload: { phone, payment: { amount, mode, reference, paidAt, account }, by, source?, payerPhone? }
+  // Sheet half re-reads the lead so it always writes the committed rollups.
+  payment_record: {
+    firestore: async (p, state) => {
+      // Ledger entry once per op — without a reference each call would add a
+      // new doc; the alias and entitlement steps below are safe to repeat
+      if (!state.paymentRecorded) {
+        const result = await FirestoreService.recordPayment(p.phone, p.payment, p.by, p.source);
+        if (!result) throw new Error(`lead not found for payment: ${p.phone}`);
+        state.cgId = result.cgId;
+        state.paymentId = result.paymentId;
+        state.paymentRecorded = true;
+      }
+      // Gateway payer contact that isn't the lead's number — alias it so its
+      // next payment matches by phone too (addPhoneAlias is idempotent)
+      if (p.payerPhone && !phoneNumbersMatch(p.payerPhone, p.phone)) {
+        await FirestoreService.addPhoneAlias(p.phone, p.payerPhone, 'payment', p.by);
+      }
+      await EntitlementService.applyEntitlement(p.phone, p.by);
+    },
+    sheet: async (p) => syncLeadCells(p.phone, PAYMENT_SHEET_FIELDS, 'payment_record'),
+  },
+
+  // ─── Gateway refund against a known lead ──────────────────────────────────
+  // payload: { phone, refund: { amount, refundId, paymentRef, refundedAt }, by, source? }
+  refund_record: {
+    firestore: async (p, state) => {
+      if (!state.paymentRecorded) {
+        const result = await FirestoreService.recordRefund(p.phone, p.refund, p.by, p.source);
+        if (!result) throw new Error(`lead not found for refund: ${p.phone}`);
+        state.cgId = result.cgId;
+        state.paymentId = result.paymentId;
+        state.paymentRecorded = true;
+      }
+      await EntitlementService.applyEntitlement(p.phone, p.by);
+    },
+    sheet: async (p) => syncLeadCells(p.phone, PAYMENT_SHEET_FIELDS, 'refund_record'),
+  },
+
+  // ─── Payment that matched no lead — Manual_Review sheet + Firestore ───────
+  // payload: { payment: { phone, amount, mode, reference, paidAt, account, reason } }
+  payment_unmatched: {
+    firestore: async (p) => {
+      await FirestoreService.addUnmatchedPayment(p.payment);
+    },
+    sheet: async (p) => {
+      const pay = p.payment;
+      await SheetService.insertRowToSheet(config.SPREADSHEET_ID, config.SHEETS.MANUAL_REVIEW, {
+        createdAt:       pay.paidAt,
+        phone:           pay.phone,
+        amountPaid:      pay.amount,
+        modeOfPay:       pay.mode,
+        paymentRefId:    pay.reference,
+        dateOfPayment:   formatDate(pay.paidAt),
+        timeOfPay:       formatTimeIST(pay.paidAt),
+        receivedAccount: pay.account,
+        paymentRemark:   pay.reason,
+      });
+    },
+  },
+
+  // ─── History entry only — no Sheet half ───────────────────────────────────
+  // payload: { phone, action, by, details }
+  lead_history: {
+    firestore: async (p) => {
+      await FirestoreService.addHistory(p.phone, p.action, p.by, p.details);
+    },
+  },
+
+  // ─── Masterclass login (CosmoGuru Live user_login) ────────────────────────
+  // payload: { phone, name, loginAt }
+  // Sheet half re-renders the attendee's whole OnlineAttendence cell.
+  attendance_record: {
+    firestore: async (p, state) => {
+      const result = await AttendanceStore.recordLogin(p);
+      state.attendeeKey = result.attendeeKey;
+      state.sessionId = result.sessionId;
+      state.cgId = result.cgId;
+    },
+    sheet: async (p, state) => {
+      const records = await AttendanceStore.listForAttendee(state.attendeeKey);
+      await SheetService.updateAttendance(p.phone, p.name, AttendanceStore.renderAttendance(records));
+      // session_attended was counted in the attendance transaction
+      if (state.cgId) await syncLeadCells(p.phone, ['engagementScore'], 'attendance_record');
+    },
+  },
+
+  // ─── Merge two duplicate leads (services/leadMergeService.js) ─────────────
+  // payload: { cgIds: [a, b], survivorCgId?, by }
+  // Sheet half waits for the merge to commit, then drops the loser's rows
+  // and rewrites the survivor's merged cells.
+  lead_merge: {
+    firestore: async (p, state) => {
+      const result = await LeadMergeService.mergeLeads(p.cgIds, { survivorCgId: p.survivorCgId, by: p.by });
+      Object.assign(state, result);
+      state.cgId = result.survivorCgId;
+    },
+    sheet: async (p, state) => {
+      if (!state.merged) throw new Error('merge not committed yet');
+      await LeadMergeService.removeMergedRows(state);
+      await syncLeadCells(state.survivorPhone, MERGE_SHEET_FIELDS, 'lead_merge');
+    },
+  },
+
+  // ─── Whitelist only (registration check retry) — no Sheet half ────────────
+  // payload: { phone, name, source }
+  whitelist_add: {
+    firestore: async (p) => {
+      await FirebaseService.addToWhitelist(p.phone, p.name, p.source);
+    },
+  },
+};
+
+
+/**
+ * Look up a write op by name.
+ * @param {string} name
+ * @returns {{ firestore?: Function, sheet?: Function }}
+ */
+function getWriteOp(name) {
+  const op = WRITE_OPS[name];
+  if (!op) throw new Error(`Unknown write op: ${name}`);
+  return op;
+}
+
+
+module.exports = { WRITE_OPS, getWriteOp };
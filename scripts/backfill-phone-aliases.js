@@ -0,0 +1,115 @@
+// ============================================================================
+//  scripts/backfill-phone-aliases.js — One-time Firestore backfill
+//
+//  What this script does:
+//    Adds the registration number (lead.regiNo) as a 'registration' phone
+//    alias on every registered lead whose regiNo differs from its WhatsApp
+//    number. Form submissions do this themselves now; leads registered
+//    before that only have the number in regiNo, where it can't be looked
+//    up.
+//
+//    Per-lead rules:
+//      a. regiNo doesn't parse as a phone → log a warning, skip.
+//      b. regiNo is the lead's own phone or already an alias → skip.
+//      c. regiNo belongs to another lead → log as CONFLICT, skip.
+//         Resolve these by merging leads.
+//      d. Otherwise → alias added (phones/{digits} claim + lead arrays).
+//
+//  Usage:
+//    1. Ensure GOOGLE_APPLICATION_CREDENTIALS env var points to a service
+//       account JSON with Firestore admin permissions.
+//    2. Dry run:  node scripts/backfill-phone-aliases.js --dry-run
+//       Apply:    node scripts/backfill-phone-aliases.js
+//
+//  Safe to re-run: addPhoneAlias skips aliases the lead already has.
+// ============================================================================
+
+require('dotenv').config();
+
+const FirestoreService = require('../services/firestoreService');
+const { parsePhone } = require('../utils/helpers');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  console.error('ERROR: GOOGLE_APPLICATION_CREDENTIALS env var is not set.');
+  console.error('Set it to the path of a service account JSON with Firestore admin access.');
+  process.exit(1);
+}
+
+
+async function backfill() {
+  console.log(`[backfill-phone-aliases] Fetching registered leads${dryRun ? ' (dry run)' : ''}...`);
+  const leads = await FirestoreService.findRegisteredLeads();
+  console.log(`[backfill-phone-aliases] ${leads.length} registered leads.`);
+
+  let added = 0;
+  let skipped = 0;
+  const warnings = [];
+  const conflicts = [];
+  const errors = [];
+
+  for (const { data } of leads) {
+    const regi = parsePhone(data.regiNo);
+
+    // (a) Not a phone
+    if (!regi) {
+      warnings.push(`${data.cgId}: regiNo '${data.regiNo}' is not a valid phone.`);
+      continue;
+    }
+
+    // (b) Same number, or already aliased
+    if (regi.digits === data.phoneNormalized || (data.aliasPhones || []).includes(regi.digits)) {
+      skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`[backfill-phone-aliases] would add ${data.cgId} ← ${regi.digits}`);
+      added++;
+      continue;
+    }
+
+    try {
+      const result = await FirestoreService.addPhoneAlias(data.phone, regi.digits, 'registration', 'backfill');
+      if (result?.added) added++;
+      else if (result?.reason === 'conflict') conflicts.push(`${regi.digits}: ${data.cgId} vs ${result.conflictCgId}`);  // (c)
+      else skipped++;
+    } catch (err) {
+      errors.push({ cgId: data.cgId, error: err.message });
+    }
+  }
+
+  console.log('');
+  console.log('── Backfill summary ──────────────────────────────────────────');
+  console.log(`Registered leads scanned:        ${leads.length}`);
+  console.log(`Aliases ${dryRun ? 'to add' : 'added'}:                   ${added}`);
+  console.log(`Skipped (same / existing):       ${skipped}`);
+  console.log(`Conflicts:                       ${conflicts.length}`);
+  console.log(`Errors:                          ${errors.length}`);
+  if (warnings.length > 0) {
+    console.log('Warnings:');
+    warnings.forEach(w => console.log(`  - ${w}`));
+  }
+  if (conflicts.length > 0) {
+    console.log('CONFLICTS (registration number is another lead\'s phone):');
+    conflicts.forEach(c => console.log(`  - ${c}`));
+  }
+  if (errors.length > 0) {
+    console.log('Errors:');
+    errors.forEach(e => console.log(`  - ${JSON.stringify(e)}`));
+  }
+  console.log('──────────────────────────────────────────────────────────────');
+
+  if (errors.length > 0) {
+    console.error('[backfill-phone-aliases] Backfill completed WITH ERRORS. Review above and re-run.');
+    process.exit(1);
+  }
+  console.log('[backfill-phone-aliases] Backfill complete.');
+}
+
+
+backfill().catch(err => {
+  console.error('[backfill-phone-aliases] FATAL:', err);
+  process.exit(1);
+});
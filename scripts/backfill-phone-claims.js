@@ -0,0 +1,162 @@
+// ============================================================================
+//  scripts/backfill-phone-claims.js — One-time Firestore backfill
+//
+//  What this script does:
+//    Creates a phones/{phoneNormalized} claim doc ({ cgId, phone, claimedAt })
+//    for every existing lead. createLead now creates this claim inside the
+//    same transaction as the CGID counter; leads created before that change
+//    have no claim, so this backfill closes the gap.
+//
+//    Per-doc rules:
+//      a. No phoneNormalized → log a warning with cgId, skip.
+//      b. Claim doc absent → create it pointing at this lead.
+//      c. Claim doc already points at this lead → skip.
+//      d. Claim doc (or an earlier lead in this run) points at another
+//         lead → log as DUPLICATE, skip. Resolve these by merging leads.
+//
+//    When two leads share a phone, the earliest createdAt wins the claim.
+//
+//  Usage:
+//    1. Ensure GOOGLE_APPLICATION_CREDENTIALS env var points to a service
+//       account JSON with Firestore admin permissions.
+//    2. From repo root: node scripts/backfill-phone-claims.js
+//    3. Verify output summary matches expected counts.
+//
+//  Safe to re-run: existing claims are never overwritten.
+// ============================================================================
+
+const admin = require('firebase-admin');
+
+// ── Initialize Firebase Admin ──────────────────────────────────────────────
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  console.error('ERROR: GOOGLE_APPLICATION_CREDENTIALS env var is not set.');
+  console.error('Set it to the path of a service account JSON with Firestore admin access.');
+  process.exit(1);
+}
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+});
+
+const db = admin.firestore();
+const COLLECTION = 'leads';
+const PHONES_COLLECTION = 'phones';
+
+
+async function backfill() {
+  console.log(`[backfill-phone-claims] Fetching '${COLLECTION}' and '${PHONES_COLLECTION}'...`);
+
+  const [leadsSnap, phonesSnap] = await Promise.all([
+    db.collection(COLLECTION).orderBy('createdAt').get(),
+    db.collection(PHONES_COLLECTION).get(),
+  ]);
+  console.log(`[backfill-phone-claims] ${leadsSnap.size} leads, ${phonesSnap.size} existing claims.`);
+
+  const claims = new Map();  // phoneNormalized → cgId
+  phonesSnap.docs.forEach(doc => claims.set(doc.id, doc.data().cgId));
+
+  let created = 0;
+  let alreadyClaimed = 0;
+  let batchesCommitted = 0;
+  const warnings = [];
+  const duplicates = [];
+  const errors = [];
+
+  const BATCH_SIZE = 450;
+  let batch = db.batch();
+  let batchOps = 0;
+
+  for (const doc of leadsSnap.docs) {
+    const data = doc.data();
+    const cgId = data.cgId || doc.id;
+    const phoneNorm = data.phoneNormalized;
+
+    // (a) No phone
+    if (!phoneNorm) {
+      warnings.push(`Doc ${doc.id} (cgId: ${cgId}) has no phoneNormalized.`);
+      continue;
+    }
+
+    const claimedBy = claims.get(phoneNorm);
+
+    // (c) Already claimed by this lead
+    if (claimedBy === cgId) {
+      alreadyClaimed++;
+      continue;
+    }
+
+    // (d) Claimed by a different lead
+    if (claimedBy) {
+      duplicates.push(`${phoneNorm}: ${claimedBy} (claim) vs ${cgId}`);
+      continue;
+    }
+
+    // (b) Create claim
+    batch.create(db.collection(PHONES_COLLECTION).doc(phoneNorm), {
+      cgId,
+      phone: data.phone || phoneNorm,
+      claimedAt: data.createdAt || new Date().toISOString(),
+    });
+    claims.set(phoneNorm, cgId);
+    batchOps++;
+    created++;
+
+    if (batchOps >= BATCH_SIZE) {
+      try {
+        await batch.commit();
+        batchesCommitted++;
+        console.log(`[backfill-phone-claims] Committed batch of ${batchOps} claims.`);
+      } catch (err) {
+        console.error(`[backfill-phone-claims] Batch commit failed: ${err.message}`);
+        errors.push({ batchSize: batchOps, error: err.message });
+      }
+      batch = db.batch();
+      batchOps = 0;
+    }
+  }
+
+  if (batchOps > 0) {
+    try {
+      await batch.commit();
+      batchesCommitted++;
+      console.log(`[backfill-phone-claims] Committed final batch of ${batchOps} claims.`);
+    } catch (err) {
+      console.error(`[backfill-phone-claims] Final batch commit failed: ${err.message}`);
+      errors.push({ batchSize: batchOps, error: err.message });
+    }
+  }
+
+  console.log('');
+  console.log('── Backfill summary ──────────────────────────────────────────');
+  console.log(`Leads scanned:                   ${leadsSnap.size}`);
+  console.log(`Claims created:                  ${created}`);
+  console.log(`Already claimed (skipped):       ${alreadyClaimed}`);
+  console.log(`Duplicate phones:                ${duplicates.length}`);
+  console.log(`Batches committed:               ${batchesCommitted}`);
+  console.log(`Batch errors:                    ${errors.length}`);
+  if (warnings.length > 0) {
+    console.log('Warnings:');
+    warnings.forEach(w => console.log(`  - ${w}`));
+  }
+  if (duplicates.length > 0) {
+    console.log('DUPLICATES (same phone, different CGID):');
+    duplicates.forEach(d => console.log(`  - ${d}`));
+  }
+  if (errors.length > 0) {
+    console.log('Errors:');
+    errors.forEach(e => console.log(`  - ${JSON.stringify(e)}`));
+  }
+  console.log('──────────────────────────────────────────────────────────────');
+
+  if (errors.length > 0) {
+    console.error('[backfill-phone-claims] Backfill completed WITH ERRORS. Review above and re-run if needed.');
+    process.exit(1);
+  }
+  console.log('[backfill-phone-claims] Backfill complete.');
+}
+
+
+backfill().catch(err => {
+  console.error('[backfill-phone-claims] FATAL:', err);
+  process.exit(1);
+});
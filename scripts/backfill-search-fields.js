@@ -0,0 +1,104 @@
+// ============================================================================
+//  scripts/backfill-search-fields.js — One-time Firestore backfill
+//
+//  What this script does:
+//    Writes the lead search fields (firestoreService.searchFieldsFor) on
+//    every lead: nameSearch (normalized name, for name-prefix search) and
+//    inquiryTags (the comma-joined inquiry as an array, for the inquiry
+//    filter). Lead writes maintain them now; older leads don't have them
+//    and never show up in GET leads?view=search&inquiry= or &q=<name>.
+//
+//    Per-lead rules:
+//      a. Both fields already match → skip.
+//      b. Otherwise → both fields set (updatedAt untouched, so sort by
+//         updatedAt is not disturbed).
+//
+//  Usage:
+//    1. Ensure GOOGLE_APPLICATION_CREDENTIALS env var points to a service
+//       account JSON with Firestore admin permissions.
+//    2. Dry run:  node scripts/backfill-search-fields.js --dry-run
+//       Apply:    node scripts/backfill-search-fields.js
+//
+//  Safe to re-run: the fields are derived, so a second run skips every lead.
+// ============================================================================
+
+require('dotenv').config();
+
+const FirestoreService = require('../services/firestoreService');
+const config = require('../config');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+const BATCH_SIZE = 450;
+
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  console.error('ERROR: GOOGLE_APPLICATION_CREDENTIALS env var is not set.');
+  console.error('Set it to the path of a service account JSON with Firestore admin access.');
+  process.exit(1);
+}
+
+
+async function backfill() {
+  console.log(`[backfill-search-fields] Fetching leads${dryRun ? ' (dry run)' : ''}...`);
+  const leads = await FirestoreService.findAllLeads(['name', 'inquiry', 'nameSearch', 'inquiryTags']);
+  console.log(`[backfill-search-fields] ${leads.length} leads.`);
+
+  const pending = [];
+  let skipped = 0;
+  const errors = [];
+
+  for (const { docId, data } of leads) {
+    const fields = FirestoreService.searchFieldsFor({ name: data.name || '', inquiry: data.inquiry || '' });
+
+    // (a) Already current
+    if (data.nameSearch === fields.nameSearch
+        && JSON.stringify(data.inquiryTags || null) === JSON.stringify(fields.inquiryTags)) {
+      skipped++;
+      continue;
+    }
+    pending.push({ docId, fields });
+  }
+
+  if (dryRun) {
+    pending.slice(0, 20).forEach(p =>
+      console.log(`[backfill-search-fields] would set ${p.docId} → ${JSON.stringify(p.fields)}`));
+    if (pending.length > 20) console.log(`[backfill-search-fields] ... and ${pending.length - 20} more`);
+  } else {
+    const db = FirestoreService.getDb();
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const chunk = pending.slice(i, i + BATCH_SIZE);
+      const batch = db.batch();
+      chunk.forEach(p => batch.update(db.collection(config.FIRESTORE.COLLECTION).doc(p.docId), p.fields));
+      try {
+        await batch.commit();
+        console.log(`[backfill-search-fields] Committed batch of ${chunk.length} writes.`);
+      } catch (err) {
+        console.error(`[backfill-search-fields] Batch commit failed: ${err.message}`);
+        errors.push({ batchSize: chunk.length, error: err.message });
+      }
+    }
+  }
+
+  console.log('');
+  console.log('── Backfill summary ──────────────────────────────────────────');
+  console.log(`Leads scanned:                   ${leads.length}`);
+  console.log(`Leads ${dryRun ? 'to update' : 'updated'}:                  ${pending.length}`);
+  console.log(`Skipped (already current):       ${skipped}`);
+  console.log(`Batch errors:                    ${errors.length}`);
+  if (errors.length > 0) {
+    console.log('Errors:');
+    errors.forEach(e => console.log(`  - ${JSON.stringify(e)}`));
+  }
+  console.log('──────────────────────────────────────────────────────────────');
+
+  if (errors.length > 0) {
+    console.error('[backfill-search-fields] Backfill completed WITH ERRORS. Review above and re-run.');
+    process.exit(1);
+  }
+  console.log('[backfill-search-fields] Backfill complete.');
+}
+
+
+backfill().catch(err => {
+  console.error('[backfill-search-fields] FATAL:', err);
+  process.exit(1);
+});
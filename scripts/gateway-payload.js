@@ -0,0 +1,134 @@
+// ============================================================================
+//  scripts/gateway-payload.js — Local stand-in for gateway webhooks
+//
+//  What this script does:
+//    Builds a Razorpay-style webhook body for one of the supported events,
+//    signs it with GATEWAY_WEBHOOK_SECRET (X-Razorpay-Signature) and either
+//    prints a ready-to-run curl command or POSTs it to --url.
+//
+//  Usage:
+//    GATEWAY_WEBHOOK_SECRET=... node scripts/gateway-payload.js <event> [options]
+//
+//    <event>          payment.captured | payment.failed | refund.processed |
+//                     payment_link.paid
+//    --phone <num>    payer contact (e.g. 919876543210)
+//    --cgId <id>      put the CGID in notes.cgId
+//    --link <id>      payment link id (plink_...) for payment_link.paid
+//    --amount <rs>    amount in rupees (default 1000)
+//    --payment <id>   gateway payment id (default random pay_...)
+//    --url <url>      POST to this URL instead of printing curl
+//
+//  Example:
+//    node scripts/gateway-payload.js payment.captured --phone 919876543210 \
+//      --amount 5000 --url http://localhost:8080/
+// ============================================================================
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const axios  = require('axios');
+const { signGatewayPayload } = require('../lib/auth');
+
+const SUPPORTED = ['payment.captured', 'payment.failed', 'refund.processed', 'payment_link.paid'];
+
+
+function parseArgs(argv) {
+  const args = { event: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function buildPayload(args) {
+  const now = Math.floor(Date.now() / 1000);
+  const amount = Math.round(Number(args.amount || 1000) * 100);
+  const notes = args.cgId ? { cgId: args.cgId } : [];
+
+  const payment = {
+    id: args.payment || randomId('pay'),
+    entity: 'payment',
+    amount,
+    currency: 'INR',
+    status: args.event === 'payment.failed' ? 'failed' : 'captured',
+    method: 'upi',
+    contact: args.phone ? `+${String(args.phone).replace(/\D/g, '')}` : '',
+    email: '',
+    notes,
+    created_at: now,
+  };
+  if (args.event === 'payment.failed') {
+    payment.error_code = 'BAD_REQUEST_ERROR';
+    payment.error_description = 'Payment was declined by the bank';
+  }
+
+  const payload = { payment: { entity: payment } };
+
+  if (args.event === 'refund.processed') {
+    payload.refund = {
+      entity: {
+        id: randomId('rfnd'), entity: 'refund', amount, currency: 'INR',
+        payment_id: payment.id, notes, status: 'processed', created_at: now,
+      },
+    };
+  }
+
+  if (args.event === 'payment_link.paid') {
+    payload.payment_link = {
+      entity: {
+        id: args.link || randomId('plink'), amount, amount_paid: amount, currency: 'INR',
+        status: 'paid', notes, customer: { contact: payment.contact },
+      },
+    };
+  }
+
+  return {
+    entity: 'event',
+    account_id: 'acc_local',
+    event: args.event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now,
+  };
+}
+
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!SUPPORTED.includes(args.event)) {
+    console.error(`Usage: node scripts/gateway-payload.js <${SUPPORTED.join('|')}> [--phone --cgId --link --amount --payment --url]`);
+    process.exit(1);
+  }
+
+  const secret = process.env.GATEWAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('ERROR: GATEWAY_WEBHOOK_SECRET env var is not set.');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify(buildPayload(args));
+  const signature = signGatewayPayload(secret, body);
+
+  if (!args.url) {
+    console.log(`curl -X POST <URL> -H 'Content-Type: application/json' \\`);
+    console.log(`  -H 'X-Razorpay-Signature: ${signature}' \\`);
+    console.log(`  -d '${body}'`);
+    return;
+  }
+
+  const res = await axios.post(args.url, body, {
+    headers: { 'Content-Type': 'application/json', 'X-Razorpay-Signature': signature },
+    validateStatus: () => true,
+  });
+  console.log(`[gateway-payload] ${res.status} ${JSON.stringify(res.data)}`);
+}
+
+
+main().then(() => process.exit(0)).catch(err => {
+  console.error('[gateway-payload] FATAL:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+// ============================================================================
+//  scripts/migrate-history-subcollection.js — One-time Firestore migration
+//
+//  What this script does:
+//    Moves every lead's `history` array into the leads/{cgId}/history
+//    subcollection (one doc per event), then deletes the array. Lead
+//    history used to grow inside the lead doc via arrayUnion — towards
+//    the 1 MiB doc limit, and with exact duplicate entries dropped.
+//
+//    Per-doc rules:
+//      a. Has a non-empty 'history' array → write each entry as
+//         history/{at}_legacyNNNN, then delete the 'history' field.
+//      b. Has an empty 'history' array → delete the field.
+//      c. No 'history' field → already migrated, skip.
+//      d. Entry without 'at' → migrated with the lead's createdAt,
+//         logged as a warning.
+//
+//    Event ids match firestoreService.legacyHistoryEventId, so merge
+//    copies and re-runs write the same docs.
+//
+//  Run AFTER the history-subcollection code is deployed. Events written
+//  between deploy and migration already live in the subcollection; the
+//  migrated ones sort in by time.
+//
+//  Usage:
+//    1. Ensure GOOGLE_APPLICATION_CREDENTIALS env var points to a service
+//       account JSON with Firestore admin permissions.
+//    2. From repo root: node scripts/migrate-history-subcollection.js
+//    3. Verify output summary matches expected counts.
+//    4. Spot-check 2-3 lead docs in Firestore console — confirm 'history'
+//       is gone and leads/{cgId}/history holds the events.
+//
+//  Safe to re-run: event ids are deterministic, and the array is only
+//  deleted once all of its events are written (same batch when they fit).
+// ============================================================================
+
+const admin = require('firebase-admin');
+
+// ── Initialize Firebase Admin ──────────────────────────────────────────────
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  console.error('ERROR: GOOGLE_APPLICATION_CREDENTIALS env var is not set.');
+  console.error('Set it to the path of a service account JSON with Firestore admin access.');
+  process.exit(1);
+}
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+});
+
+const db = admin.firestore();
+const FieldValue = admin.firestore.FieldValue;
+const COLLECTION = 'leads';
+const HISTORY_SUBCOLLECTION = 'history';
+
+// Same as firestoreService.legacyHistoryEventId
+function legacyEventId(entry, index) {
+  return `${entry.at || ''}_legacy${String(index).padStart(4, '0')}`;
+}
+
+
+async function migrate() {
+  console.log(`[migrate-history-subcollection] Starting migration on collection '${COLLECTION}'...`);
+  console.log('[migrate-history-subcollection] Fetching lead history arrays...');
+
+  const snapshot = await db.collection(COLLECTION).select('cgId', 'createdAt', 'history').get();
+  console.log(`[migrate-history-subcollection] Found ${snapshot.size} lead documents.`);
+
+  let docsMigrated = 0;
+  let docsEmptyArray = 0;        // case (b)
+  let docsAlreadyMigrated = 0;   // case (c)
+  let eventsWritten = 0;
+  let batchesCommitted = 0;
+  const warnings = [];
+  const errors = [];
+
+  // Process in batches of 450 (Firestore batch limit is 500; keep headroom)
+  const BATCH_SIZE = 450;
+  let batch = db.batch();
+  let batchOps = 0;
+
+  async function commit(label) {
+    try {
+      await batch.commit();
+      batchesCommitted++;
+      console.log(`[migrate-history-subcollection] Committed ${label} of ${batchOps} writes.`);
+    } catch (err) {
+      console.error(`[migrate-history-subcollection] Batch commit failed: ${err.message}`);
+      errors.push({ batchSize: batchOps, error: err.message });
+    }
+    batch = db.batch();
+    batchOps = 0;
+  }
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+
+    // (c) Already migrated.
+    if (data.history === undefined) {
+      docsAlreadyMigrated++;
+      continue;
+    }
+
+    const entries = Array.isArray(data.history) ? data.history : [];
+    if (entries.length === 0) docsEmptyArray++;
+    else docsMigrated++;
+
+    // Keep a lead's events and its array delete in one batch when they fit
+    if (batchOps > 0 && batchOps + entries.length + 1 > BATCH_SIZE) await commit('batch');
+    const errorsBefore = errors.length;
+
+    const events = doc.ref.collection(HISTORY_SUBCOLLECTION);
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+
+      // (d) Entry without a timestamp
+      if (!entry.at) {
+        warnings.push(`Doc ${doc.id} (cgId: ${data.cgId || '(no cgId)'}) entry ${i} '${entry.action}' has no 'at'.`);
+      }
+      const event = {
+        action:  entry.action || '',
+        by:      entry.by || 'system',
+        at:      entry.at || data.createdAt || '',
+        details: entry.details || {},
+      };
+
+      batch.set(events.doc(legacyEventId(entry, i)), event);
+      batchOps++;
+      eventsWritten++;
+      if (batchOps >= BATCH_SIZE) await commit('batch');
+    }
+
+    // Delete the array last, and only if none of its events failed to commit
+    if (errors.length > errorsBefore) {
+      warnings.push(`Doc ${doc.id}: events partly written — 'history' kept, re-run to finish.`);
+      continue;
+    }
+    batch.update(doc.ref, { history: FieldValue.delete() });
+    batchOps++;
+    if (batchOps >= BATCH_SIZE) await commit('batch');
+  }
+
+  // Commit final partial batch
+  if (batchOps > 0) await commit('final batch');
+
+  console.log('');
+  console.log('── Migration summary ─────────────────────────────────────────');
+  console.log(`Total docs scanned:              ${snapshot.size}`);
+  console.log(`Docs migrated:                   ${docsMigrated}`);
+  console.log(`Docs with empty history:         ${docsEmptyArray}`);
+  console.log(`Docs skipped (already migrated): ${docsAlreadyMigrated}`);
+  console.log(`History events written:          ${eventsWritten}`);
+  console.log(`Batches committed:               ${batchesCommitted}`);
+  console.log(`Batch errors:                    ${errors.length}`);
+  if (warnings.length > 0) {
+    console.log('Warnings:');
+    warnings.forEach(w => console.log(`  - ${w}`));
+  }
+  if (errors.length > 0) {
+    console.log('Errors:');
+    errors.forEach(e => console.log(`  - ${JSON.stringify(e)}`));
+  }
+  console.log('──────────────────────────────────────────────────────────────');
+
+  if (errors.length > 0) {
+    console.error('[migrate-history-subcollection] Migration completed WITH ERRORS. Review above and re-run if needed.');
+    process.exit(1);
+  }
+  console.log('[migrate-history-subcollection] Migration complete.');
+}
+
+
+migrate().catch(err => {
+  console.error('[migrate-history-subcollection] FATAL:', err);
+  process.exit(1);
+});
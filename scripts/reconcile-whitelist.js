@@ -0,0 +1,90 @@
+// ============================================================================
+//  scripts/reconcile-whitelist.js — Registration reconciliation (CLI)
+//
+//  What this script does:
+//    Diffs the RTDB whitelist, Firestore leads.regiNo and the
+//    OnlineAttendence sheet by phone (E.164) and prints the
+//    mismatches. Same logic as POST {action:'reconcile'} on the
+//    `whitelist` function — see handlers/whitelistReconcileHandler.js.
+//
+//  Usage:
+//    1. Ensure GOOGLE_APPLICATION_CREDENTIALS points to a service account
+//       with Firestore, RTDB and Sheets access, and .env has SPREADSHEET_ID
+//       and FIREBASE_DATABASE_URL.
+//    2. Dry run (default):   node scripts/reconcile-whitelist.js
+//       CSV for review:      node scripts/reconcile-whitelist.js --csv > reconcile.csv
+//       Apply repairs:       node scripts/reconcile-whitelist.js --repair --by ops@cosmoguru
+//
+//  Dry run never writes. Repair re-adds missing whitelist entries (unless
+//  ops removed them) and appends missing sheet rows; missing regiNo is
+//  report-only.
+// ============================================================================
+
+require('dotenv').config();
+
+const { runWhitelistReconciliation } = require('../handlers/whitelistReconcileHandler');
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const csv = args.includes('--csv');
+const byIndex = args.indexOf('--by');
+const by = byIndex >= 0 ? args[byIndex + 1] : '';
+
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+  console.error('ERROR: GOOGLE_APPLICATION_CREDENTIALS env var is not set.');
+  process.exit(1);
+}
+if (repair && !by) {
+  console.error('ERROR: --repair needs --by <who> for the whitelist audit trail.');
+  process.exit(1);
+}
+
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function printCsv(report) {
+  console.log('phone,cgId,name,regiNo,whitelist,firestore,sheet,sheetRow,issues,repairs');
+  for (const m of report.mismatches) {
+    console.log([
+      m.phone, m.cgId, m.name, m.regiNo,
+      m.present.whitelist, m.present.firestore, m.present.sheet, m.sheetRow || '',
+      m.issues.join(' '),
+      m.repairs.map(r => `${r.issue}:${r.status}${r.reason ? ` (${r.reason})` : ''}`).join('; '),
+    ].map(csvCell).join(','));
+  }
+}
+
+function printSummary(report) {
+  console.log('');
+  console.log(`── Reconciliation (${report.mode}) ${report.generatedAt} ──────────────`);
+  console.log(`Phones:            ${report.totals.phones}`);
+  console.log(`Whitelist entries: ${report.totals.whitelist}`);
+  console.log(`Firestore regiNo:  ${report.totals.firestore}`);
+  console.log(`Sheet rows:        ${report.totals.sheet}`);
+  for (const [key, count] of Object.entries(report.counts)) {
+    console.log(`${(key + ':').padEnd(19)}${count}`);
+  }
+  if (report.mismatches.length > 0) {
+    console.log('Mismatches:');
+    report.mismatches.forEach(m => {
+      const repairs = m.repairs.map(r => `${r.issue}→${r.status}`).join(', ');
+      console.log(`  - ${m.phone} ${m.cgId || '-'} ${m.name || ''}: ${repairs}`);
+    });
+  }
+  console.log('──────────────────────────────────────────────────────────────');
+}
+
+
+runWhitelistReconciliation({ repair, by: by || undefined })
+  .then(report => {
+    if (csv) printCsv(report); else printSummary(report);
+    const errors = report.mismatches.flatMap(m => m.repairs).filter(r => r.status === 'error');
+    process.exit(errors.length > 0 ? 1 : 0);
+  })
+  .catch(err => {
+    console.error('[reconcile-whitelist] FATAL:', err);
+    process.exit(1);
+  });
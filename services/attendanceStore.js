@@ -0,0 +1,188 @@
+// ============================================================================
+//  services/attendanceStore.js — Masterclass Attendance Records
+//
+//  One doc per (session, attendee) in the attendance collection:
+//    attendance/{sessionId}_{attendeeKey}
+//      { sessionId, sessionDate, scheduled, attendeeKey, cgId, phone,
+//        phoneNormalized, name, logins: [ISO], loginEvents: [{ at, timing }],
+//        timing, loginCount, firstLoginAt, lastLoginAt, updatedAt }
+//
+//  Each login is attributed to the session whose window contains it
+//  (sessionStore.attributeLogin) and marked early / on_time / late;
+//  `timing` is the first login's. Logins outside every window land in
+//  unscheduled_{YYYY-MM-DD} with timing 'unscheduled'.
+//
+//  attendeeKey is the CGID when the phone resolves to a lead, else the
+//  normalized phone. The lead doc carries the rollups (sessionsAttended,
+//  attendedSessions, lastAttendedAt) — scheduled sessions only — so
+//  "leads with 2+ sessions" is a single query; see findLeadsBySessionCount.
+//  The same first login also counts a session_attended engagement signal.
+//
+//  The OnlineAttendence sheet column is rendered from these records
+//  (renderAttendance) — it is a view, never read back.
+// ============================================================================
+
+const { FieldValue } = require('firebase-admin/firestore');
+const FirestoreService = require('./firestoreService');
+const SessionStore = require('./sessionStore');
+const EngagementService = require('./engagementService');
+const config = require('../config');
+const { normalizePhone, dateKeyIST, formatTimeShortIST, nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Attendance]';
+const COLLECTION = config.FIRESTORE.ATTENDANCE_COLLECTION;
+const LEADS = config.FIRESTORE.COLLECTION;
+
+
+function _collection() {
+  return FirestoreService.getDb().collection(COLLECTION);
+}
+
+/**
+ * Session a login belongs to, and how it was timed.
+ * @returns {Promise<{ sessionId, sessionDate, scheduled, timing }>}
+ */
+async function resolveSession(loginAt) {
+  const match = await SessionStore.attributeLogin(loginAt);
+  if (match) {
+    return {
+      sessionId:   match.session.sessionId,
+      sessionDate: dateKeyIST(match.session.startAt),
+      scheduled:   true,
+      timing:      match.timing,
+    };
+  }
+  const sessionDate = dateKeyIST(loginAt);
+  return { sessionId: `unscheduled_${sessionDate}`, sessionDate, scheduled: false, timing: 'unscheduled' };
+}
+
+
+/**
+ * Record one login. Idempotent per (session, attendee, loginAt), so a
+ * PendingQueue retry never double-counts. The first login of a scheduled
+ * session bumps the lead's sessionsAttended rollup in the same transaction.
+ *
+ * @param {{ phone: string, name?: string, loginAt: string }} login
+ * @returns {Promise<{ sessionId, timing, attendeeKey, cgId, loginCount, firstForSession, duplicate }>}
+ */
+async function recordLogin({ phone, name = '', loginAt }) {
+  const db = FirestoreService.getDb();
+  const at = new Date(loginAt || Date.now()).toISOString();
+  const { sessionId, sessionDate, scheduled, timing } = await resolveSession(at);
+  const phoneNorm = normalizePhone(phone);
+
+  const lead = await FirestoreService.findLeadByPhone(phone);
+  const cgId = lead ? lead.data.cgId : '';
+  const attendeeKey = cgId || phoneNorm;
+  const ref = _collection().doc(`${sessionId}_${attendeeKey}`);
+  const leadRef = lead ? db.collection(LEADS).doc(lead.docId) : null;
+
+  const result = await db.runTransaction(async (tx) => {
+    const [snap, leadSnap] = await Promise.all([tx.get(ref), leadRef ? tx.get(leadRef) : null]);
+    const record = snap.exists ? snap.data() : null;
+
+    if (record && record.logins.includes(at)) {
+      return { loginCount: record.loginCount, firstForSession: false, duplicate: true };
+    }
+
+    const loginEvents = [...(record?.loginEvents || []), { at, timing }]
+      .sort((a, b) => (a.at < b.at ? -1 : 1));
+    const logins = loginEvents.map(e => e.at);
+    const now = nowISO();
+    tx.set(ref, {
+      sessionId,
+      sessionDate,
+      scheduled,
+      attendeeKey,
+      cgId,
+      phone,
+      phoneNormalized: phoneNorm,
+      name:            name || record?.name || '',
+      logins,
+      loginEvents,
+      timing:          loginEvents[0].timing,
+      loginCount:      logins.length,
+      firstLoginAt:    logins[0],
+      lastLoginAt:     logins[logins.length - 1],
+      createdAt:       record?.createdAt || now,
+      updatedAt:       now,
+    });
+
+    if (leadRef) {
+      const updates = { lastAttendedAt: at, updatedAt: now };
+      if (!record && scheduled) {
+        Object.assign(updates, EngagementService.applySignal(leadSnap.data(), 'session_attended'));
+        updates.sessionsAttended = FieldValue.increment(1);
+        updates.attendedSessions = FieldValue.arrayUnion(sessionId);
+        FirestoreService.writeHistory(tx, leadRef.id, FirestoreService.buildHistoryEvent(
+          'session_attended', 'system', { sessionId, loginAt: at, timing }, now));
+      }
+      tx.update(leadRef, updates);
+    }
+
+    return { loginCount: logins.length, firstForSession: !record, duplicate: false };
+  });
+
+  console.log(`${LOG_PREFIX} ${attendeeKey} ${sessionId}: login #${result.loginCount} ${timing}${result.duplicate ? ' (duplicate)' : ''}`);
+  return { sessionId, timing, attendeeKey, cgId, ...result };
+  // Firestore errors throw naturally → caught by buildWriteBoth → PendingQueue retries
+}
+
+
+/**
+ * All records for one attendee (CGID or normalized phone), oldest session first.
+ */
+async function listForAttendee(attendeeKey) {
+  const snapshot = await _collection().where('attendeeKey', '==', attendeeKey).get();
+  return snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => (a.firstLoginAt < b.firstLoginAt ? -1 : 1));
+}
+
+/**
+ * All records for one session.
+ */
+async function listForSession(sessionId) {
+  const snapshot = await _collection().where('sessionId', '==', sessionId).get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Leads that attended at least `min` sessions.
+ * @returns {Promise<Array<{ cgId, name, phone, sessionsAttended, attendedSessions }>>}
+ */
+async function findLeadsBySessionCount(min = 2) {
+  const snapshot = await FirestoreService.getDb().collection(LEADS)
+    .where('sessionsAttended', '>=', min)
+    .get();
+  return snapshot.docs.map(doc => {
+    const d = doc.data();
+    return {
+      cgId: d.cgId, name: d.name, phone: d.phone,
+      sessionsAttended: d.sessionsAttended, attendedSessions: d.attendedSessions || [],
+    };
+  });
+}
+
+
+/**
+ * Sheet cell for an attendee: one "<date> Present HH:MM | HH:MM (late)"
+ * line per session. On-time logins carry no marker.
+ * @param {Object[]} records - from listForAttendee
+ */
+function renderAttendance(records) {
+  const renderLogin = (e) =>
+    formatTimeShortIST(e.at) + (e.timing === 'on_time' ? '' : ` (${e.timing})`);
+  return records
+    .map(r => `${r.sessionDate} Present ${(r.loginEvents || []).map(renderLogin).join(' | ')}`)
+    .join('\n');
+}
+
+
+module.exports = {
+  recordLogin,
+  listForAttendee,
+  listForSession,
+  findLeadsBySessionCount,
+  renderAttendance,
+};
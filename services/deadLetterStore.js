@@ -0,0 +1,131 @@
+// ============================================================================
+//  services/deadLetterStore.js — Queryable store for exhausted retries
+//
+//  When PendingQueue gives up on an operation it moves the full item
+//  (op, payload, state, metadata, last error) here, doc id = operationId.
+//  Ops can list, inspect, replay and discard entries via the deadLetters
+//  HTTP function instead of digging through Cloud Logging.
+// ============================================================================
+
+const { FieldValue, FieldPath } = require('firebase-admin/firestore');
+const FirestoreService = require('./firestoreService');
+const config = require('../config');
+const { nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[DeadLetter]';
+const COLLECTION = config.FIRESTORE.DEAD_LETTER_COLLECTION;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+
+function _collection() {
+  return FirestoreService.getDb().collection(COLLECTION);
+}
+
+
+/**
+ * Build the dead-letter document for a queue item.
+ * @param {Object} item - PendingQueue item (as stored in pendingOps)
+ * @param {Object} state - Latest op progress
+ * @param {string} lastError
+ */
+function buildEntry(item, state, lastError) {
+  return JSON.parse(JSON.stringify({
+    operationId: item.operationId,
+    op:          item.op,
+    payload:     item.payload,
+    state,
+    metadata:    item.metadata || {},
+    handler:     item.metadata?.handler || '',
+    attempts:    item.attempts,
+    lastError,
+    enqueuedAt:  item.enqueuedAt,
+    diedAt:      nowISO(),
+    replayCount: 0,
+    lastReplayAt: '',
+  }));
+}
+
+
+/**
+ * Reference for a dead-letter doc — used by PendingQueue to write the
+ * entry and delete the pending item in one batch.
+ */
+function docRef(operationId) {
+  return _collection().doc(operationId);
+}
+
+
+/**
+ * List dead letters, newest first.
+ * @param {{ limit?: number, handler?: string, startAfter?: string[] }} opts
+ *   startAfter — [diedAt, operationId] cursor from the previous page's
+ *   nextCursor; the doc id breaks diedAt ties so no entry is skipped
+ * @returns {Promise<{ items: Object[], nextCursor: string[]|null }>}
+ */
+async function list(opts = {}) {
+  const limit = Math.min(parseInt(opts.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  let query = _collection();
+  if (opts.handler) query = query.where('handler', '==', opts.handler);
+  query = query.orderBy('diedAt', 'desc').orderBy(FieldPath.documentId(), 'desc');
+  if (opts.startAfter) query = query.startAfter(...opts.startAfter);
+
+  const snapshot = await query.limit(limit).get();
+  const items = snapshot.docs.map(doc => {
+    const d = doc.data();
+    return {
+      operationId: d.operationId,
+      op:          d.op,
+      handler:     d.handler,
+      phone:       d.metadata?.phone || '',
+      attempts:    d.attempts,
+      lastError:   d.lastError,
+      diedAt:      d.diedAt,
+      replayCount: d.replayCount || 0,
+    };
+  });
+
+  const last = snapshot.docs[snapshot.docs.length - 1];
+  const nextCursor = items.length === limit ? [last.get('diedAt'), last.id] : null;
+  return { items, nextCursor };
+}
+
+
+/**
+ * Full dead-letter entry (including payload), or null.
+ */
+async function get(operationId) {
+  const doc = await _collection().doc(operationId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+
+/**
+ * Record a failed replay — keeps progress so the next replay skips the
+ * half that already succeeded.
+ */
+async function recordReplayFailure(operationId, state, errorMessage) {
+  await _collection().doc(operationId).update({
+    state:        JSON.parse(JSON.stringify(state)),
+    lastError:    errorMessage,
+    replayCount:  FieldValue.increment(1),
+    lastReplayAt: nowISO(),
+  });
+}
+
+
+async function remove(operationId) {
+  await _collection().doc(operationId).delete();
+  console.log(`${LOG_PREFIX} Removed: ${operationId}`);
+}
+
+
+module.exports = {
+  buildEntry,
+  docRef,
+  list,
+  get,
+  recordReplayFailure,
+  remove,
+};
@@ -0,0 +1,124 @@
+// ============================================================================
+//  services/duplicateReviewStore.js — Likely-duplicate lead pairs
+//
+//  One doc per pair, written by the duplicate scan
+//  (handlers/duplicateReportHandler.js):
+//    duplicateReview/{cgIdA}__{cgIdB}   (CGIDs sorted)
+//      { pairId, cgIds, confidence, signals: [{ signal, points, detail }],
+//        leads: [{ cgId, name, phone }], status, firstSeenAt, lastSeenAt,
+//        resolvedAt, resolvedBy }
+//
+//  status: 'open' → 'merged' (lead merge) | 'dismissed' (not duplicates)
+//          | 'resolved' (signals gone on a later scan). A rescan updates
+//  open pairs and never reopens a dismissed one.
+// ============================================================================
+
+const FirestoreService = require('./firestoreService');
+const config = require('../config');
+const { nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[DuplicateReview]';
+const COLLECTION = config.FIRESTORE.DUPLICATES_COLLECTION;
+const BATCH_SIZE = 450;
+
+
+function _collection() {
+  return FirestoreService.getDb().collection(COLLECTION);
+}
+
+/**
+ * Stable id for a pair, independent of argument order.
+ */
+function pairIdFor(cgIdA, cgIdB) {
+  return [cgIdA, cgIdB].sort().join('__');
+}
+
+
+/**
+ * Pairs a scan must not report again (dismissed or merged).
+ * @returns {Promise<Set<string>>} pairIds
+ */
+async function closedPairIds() {
+  const snapshot = await _collection().where('status', 'in', ['dismissed', 'merged']).get();
+  return new Set(snapshot.docs.map(doc => doc.id));
+}
+
+/**
+ * Replace the open set with this scan's pairs: upsert each pair as open
+ * (firstSeenAt survives), and resolve open pairs the scan didn't find.
+ *
+ * @param {Object[]} pairs - { pairId, cgIds, confidence, signals, leads }
+ * @returns {Promise<{ upserted: number, resolved: number, items: Object[] }>}
+ *   items — the open pairs as stored, confidence descending
+ */
+async function replaceOpenPairs(pairs) {
+  const db = FirestoreService.getDb();
+  const now = nowISO();
+
+  const openSnap = await _collection().where('status', '==', 'open').get();
+  const open = new Map(openSnap.docs.map(doc => [doc.id, doc.data()]));
+  const found = new Set(pairs.map(p => p.pairId));
+
+  const writes = [];
+  const items = pairs.map(pair => {
+    const doc = {
+      ...pair,
+      status: 'open',
+      firstSeenAt: open.get(pair.pairId)?.firstSeenAt || now,
+      lastSeenAt: now,
+    };
+    writes.push(batch => batch.set(_collection().doc(pair.pairId), doc, { merge: true }));
+    return doc;
+  });
+
+  const stale = [...open.keys()].filter(id => !found.has(id));
+  for (const id of stale) {
+    writes.push(batch => batch.update(_collection().doc(id), {
+      status: 'resolved', resolvedAt: now, resolvedBy: 'duplicate_scan',
+    }));
+  }
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  console.log(`${LOG_PREFIX} ${items.length} open, ${stale.length} resolved`);
+  return {
+    upserted: items.length,
+    resolved: stale.length,
+    items: items.sort((a, b) => b.confidence - a.confidence),
+  };
+}
+
+async function getPair(pairId) {
+  const doc = await _collection().doc(pairId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Close a pair (merge or dismissal). No-op when the pair was never flagged.
+ * @param {string} pairId
+ * @param {'merged'|'dismissed'} status
+ * @param {string} by
+ * @returns {Promise<boolean>} whether a pair was updated
+ */
+async function closePair(pairId, status, by) {
+  const ref = _collection().doc(pairId);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  await ref.update({ status, resolvedAt: nowISO(), resolvedBy: by });
+  console.log(`${LOG_PREFIX} ${pairId} → ${status} by ${by}`);
+  return true;
+}
+
+
+module.exports = {
+  pairIdFor,
+  closedPairIds,
+  replaceOpenPairs,
+  getPair,
+  closePair,
+};
@@ -0,0 +1,91 @@
+// ============================================================================
+//  services/engagementService.js — Lead Engagement Score
+//
+//  Each engagement signal bumps a counter on the lead; the score is the
+//  weighted sum of the counters (config.ENGAGEMENT.WEIGHTS):
+//
+//    engagementCounts: { session_attended: 2, keyword_message: 3, ... }
+//    engagementScore:  2 × 10 + 3 × 2 + ...
+//
+//  Counters, not the score, are the record — the score is recomputed on
+//  every signal, so a weight change applies on the lead's next signal.
+//
+//  Signals come from the write ops (lib/writeOps.js): keyword messages,
+//  form submissions, flow replies, community joins; session attendance is
+//  counted inside the attendance transaction (attendanceStore).
+// ============================================================================
+
+const FirestoreService = require('./firestoreService');
+const config = require('../config');
+const { nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Engagement]';
+const WEIGHTS = config.ENGAGEMENT.WEIGHTS;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SCORING — pure
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Weighted sum of signal counters. Signals without a weight count 0.
+ * @param {Object} counts - { signal: count }
+ * @returns {number}
+ */
+function scoreFor(counts = {}) {
+  return Object.entries(counts)
+    .reduce((sum, [signal, count]) => sum + (WEIGHTS[signal] || 0) * (count || 0), 0);
+}
+
+/**
+ * Lead fields after one more `signal`.
+ * @param {Object} lead - lead doc data
+ * @param {string} signal - key of config.ENGAGEMENT.WEIGHTS
+ * @returns {{ engagementCounts: Object, engagementScore: number }}
+ */
+function applySignal(lead, signal) {
+  if (WEIGHTS[signal] === undefined) throw new Error(`Unknown engagement signal: ${signal}`);
+
+  const engagementCounts = { ...(lead.engagementCounts || {}) };
+  engagementCounts[signal] = (engagementCounts[signal] || 0) + 1;
+  return { engagementCounts, engagementScore: scoreFor(engagementCounts) };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  RECORD
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Count one signal against a lead (transaction, so concurrent signals
+ * both count).
+ *
+ * @param {string} phone
+ * @param {string} signal
+ * @returns {Promise<{ cgId: string, engagementScore: number }|null>} null if no lead
+ */
+async function recordEngagement(phone, signal) {
+  const existing = await FirestoreService.findLeadByPhone(phone);
+  if (!existing) return null;
+
+  const db = FirestoreService.getDb();
+  const ref = db.collection(config.FIRESTORE.COLLECTION).doc(existing.docId);
+
+  const updates = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const next = applySignal(snap.data(), signal);
+    tx.update(ref, { ...next, lastEngagedAt: nowISO(), updatedAt: nowISO() });
+    return next;
+  });
+
+  console.log(`${LOG_PREFIX} ${existing.data.cgId} +${signal} → ${updates.engagementScore}`);
+  return { cgId: existing.data.cgId, engagementScore: updates.engagementScore };
+  // Firestore errors throw naturally → caught by buildWriteBoth → PendingQueue retries
+}
+
+
+module.exports = {
+  scoreFor,
+  applySignal,
+  recordEngagement,
+};
@@ -0,0 +1,138 @@
+// ============================================================================
+//  services/entitlementService.js — Course Access Entitlements
+//
+//  Decides what CosmoGuru Live access a lead's payments buy, then mirrors
+//  the decision to RTDB (entitlements/{courseId}/{phone}) via firebaseService.
+//
+//    fullyPaid                                         → 'full'
+//    partialAccess && amountPaid >= accessThreshold    → 'partial'
+//    otherwise                                         → 'none' (revoked)
+//
+//  Run after every recorded payment/refund (lib/writeOps.js) and when sales
+//  sets partialAccess / accessThreshold (stageHandler). Only changes are
+//  written; each one lands in lead history.
+// ============================================================================
+
+const FirestoreService = require('./firestoreService');
+const FirebaseService  = require('./firebaseService');
+const config           = require('../config');
+const { parseAmount, nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Entitlement]';
+
+// Previous access → new access → history action
+const HISTORY_ACTIONS = {
+  none:    { partial: 'entitlement_granted', full: 'entitlement_granted' },
+  partial: { full: 'entitlement_upgraded', none: 'entitlement_revoked' },
+  full:    { partial: 'entitlement_downgraded', none: 'entitlement_revoked' },
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  EVALUATION — pure
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * RTDB-safe course key from the lead's product.
+ */
+function courseIdFor(lead) {
+  const key = String(lead.product || '').trim().replace(/[.#$\[\]\/\s]+/g, '_');
+  return key || config.ENTITLEMENTS.DEFAULT_COURSE;
+}
+
+/**
+ * accessThreshold → rupee amount ('' / unparseable → null).
+ */
+function thresholdAmount(accessThreshold, finalPrice) {
+  if (accessThreshold === '' || accessThreshold === null || accessThreshold === undefined) return null;
+  const raw = String(accessThreshold).trim();
+  const value = parseAmount(raw);
+  if (!(value > 0)) return null;
+
+  const isPercent = raw.endsWith('%') || value <= config.ENTITLEMENTS.PERCENT_MAX;
+  if (!isPercent) return value;
+
+  const price = parseAmount(finalPrice);
+  return price ? Math.round(price * value) / 100 : null;
+}
+
+/**
+ * @returns {{ courseId: string, access: 'full'|'partial'|'none', threshold: number|null,
+ *             amountPaid: number, reason: string }}
+ */
+function evaluateEntitlement(lead) {
+  const courseId = courseIdFor(lead);
+  const amountPaid = parseAmount(lead.amountPaid);
+  const threshold = thresholdAmount(lead.accessThreshold, lead.finalPrice);
+  const base = { courseId, threshold, amountPaid };
+
+  if (lead.fullyPaid === true) return { ...base, access: 'full', reason: 'fully_paid' };
+
+  if (lead.partialAccess === true || lead.partialAccess === 'Yes' || lead.partialAccess === 'TRUE') {
+    if (threshold === null) return { ...base, access: 'none', reason: 'no_threshold' };
+    if (amountPaid >= threshold) return { ...base, access: 'partial', reason: 'threshold_crossed' };
+    return { ...base, access: 'none', reason: 'below_threshold' };
+  }
+
+  return { ...base, access: 'none', reason: 'not_fully_paid' };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  APPLY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate a lead and push any change to RTDB + lead history.
+ * RTDB errors throw so the caller's write op is retried.
+ *
+ * @param {string} phone
+ * @param {string} [by]
+ * @returns {Promise<{ changed: boolean, access?: string, courseId?: string }|null>} null if no lead
+ */
+async function applyEntitlement(phone, by = 'system') {
+  const existing = await FirestoreService.findLeadByPhone(phone);
+  if (!existing) return null;
+
+  const lead = existing.data;
+  const decision = evaluateEntitlement(lead);
+  const previous = lead.entitlement || { access: 'none', courseId: decision.courseId };
+
+  if (previous.access === decision.access && previous.courseId === decision.courseId) {
+    return { changed: false, access: decision.access, courseId: decision.courseId };
+  }
+
+  // Course changed (product edited) — drop the old node first
+  if (previous.access !== 'none' && previous.courseId !== decision.courseId) {
+    await FirebaseService.removeEntitlement(previous.courseId, lead.phone);
+  }
+
+  if (decision.access === 'none') {
+    await FirebaseService.removeEntitlement(decision.courseId, lead.phone);
+  } else {
+    await FirebaseService.setEntitlement(decision.courseId, lead.phone, {
+      access: decision.access, cgId: lead.cgId, reason: decision.reason,
+    });
+  }
+
+  const action = HISTORY_ACTIONS[previous.access]?.[decision.access] || 'entitlement_changed';
+  await FirestoreService.updateLead(phone, {
+    entitlement: { courseId: decision.courseId, access: decision.access, updatedAt: nowISO() },
+  }, {
+    action,
+    by,
+    details: {
+      courseId: decision.courseId, from: previous.access, to: decision.access,
+      reason: decision.reason, amountPaid: decision.amountPaid, threshold: decision.threshold,
+    },
+  });
+
+  console.log(`${LOG_PREFIX} ${lead.cgId} ${decision.courseId}: ${previous.access} → ${decision.access} (${decision.reason})`);
+  return { changed: true, access: decision.access, courseId: decision.courseId };
+}
+
+
+module.exports = {
+  evaluateEntitlement,
+  applyEntitlement,
+};
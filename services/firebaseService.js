@@ -1,48 +1,292 @@
 // ============================================================================
 //  services/firebaseService.js — Firebase Realtime Database (Whitelist)
 //
-//  Handles whitelist operations only. Separate from Firestore (CRM).
+//  Handles whitelist + course entitlement nodes only. Separate from
+//  Firestore (CRM). Uses the firebase-admin app from lib/firebaseApp.js
+//  (service-account auth; emulator via FIREBASE_DATABASE_EMULATOR_HOST).
+//
+//  RTDB layout:
+//    whitelist/{+phone}           { name, source, timestamp, addedBy,
+//                                   firstAddedAt, expiresAt? }
+//    whitelistAudit/{pushId}      { phone, action, by, at, details }
+//    entitlements/{courseId}/{+phone}
+//
+//  expiresAt is epoch ms so the sweep can range-query it. RTDB rules need:
+//    "whitelist":      { ".indexOn": ["expiresAt"] }
+//    "whitelistAudit": { ".indexOn": ["phone"] }
 // ============================================================================
 
-const axios = require('axios');
+const { getDatabase } = require('firebase-admin/database');
 const config = require('../config');
-const { sanitizePhoneForFirebase, cleanString, nowISO } = require('../utils/helpers');
+const { getApp, hasRealtimeDatabase } = require('../lib/firebaseApp');
+const { sanitizePhoneForFirebase, getLastTenDigits, cleanString, nowISO } = require('../utils/helpers');
 
 const LOG_PREFIX = '[Firebase]';
+const F = config.FIREBASE;
+
+let rtdb = null;
 
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  WHITELIST OPERATIONS
+//  INTERNAL HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function addToWhitelist(phoneNumber, name, source = 'unknown') {
-  if (!config.FIREBASE.DATABASE_URL || !config.FIREBASE.SECRET) {
-    console.log(`${LOG_PREFIX} Credentials not configured, skipping`);
-    return null;
+function getRtdb() {
+  if (!rtdb) {
+    rtdb = getDatabase(getApp());
+    console.log(`${LOG_PREFIX} Initialized`);
   }
+  return rtdb;
+}
 
-  const sanitizedPhone = sanitizePhoneForFirebase(phoneNumber);
-  const url = `${config.FIREBASE.DATABASE_URL}whitelist/${sanitizedPhone}.json?auth=${config.FIREBASE.SECRET}`;
+function isConfigured() {
+  if (hasRealtimeDatabase()) return true;
+  console.log(`${LOG_PREFIX} FIREBASE_DATABASE_URL not configured, skipping`);
+  return false;
+}
 
-  const response = await axios.put(url, {
+/**
+ * The SDK retries forever on a dead connection — bound every call so a
+ * webhook fails (and is queued for retry) instead of hanging.
+ */
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`RTDB ${label} timed out`)), config.TIMEOUTS.FIREBASE);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function whitelistRef(key) {
+  return getRtdb().ref(`${F.WHITELIST_PATH}/${key}`);
+}
+
+/**
+ * Append an audit record. Best-effort: an audit failure is logged,
+ * never allowed to undo or block the whitelist change itself.
+ */
+async function writeAudit(phone, action, by, details = {}) {
+  try {
+    await withTimeout(getRtdb().ref(F.WHITELIST_AUDIT_PATH).push({
+      phone, action, by: by || 'system', at: nowISO(), details,
+    }), 'audit');
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Audit write failed (${action} ${phone}): ${err.message}`);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  WHITELIST OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Add (or refresh) a whitelist entry. Transactional: firstAddedAt survives
+ * re-adds; expiresAt is replaced (omitted → cleared).
+ * @param {string} phoneNumber
+ * @param {string} name
+ * @param {string} [source]
+ * @param {{ by?: string, expiresAt?: Date|string|number }} [options]
+ */
+async function addToWhitelist(phoneNumber, name, source = 'unknown', options = {}) {
+  if (!isConfigured()) return null;
+
+  const sanitizedPhone = sanitizePhoneForFirebase(phoneNumber);
+  const now = nowISO();
+  const entry = {
     name: cleanString(name),
     source,
-    timestamp: nowISO()
-  }, {
-    headers: { 'Content-Type': 'application/json' },
-    timeout: config.TIMEOUTS.FIREBASE
-  });
+    timestamp: now,
+    addedBy: options.by || 'system',
+    expiresAt: options.expiresAt ? new Date(options.expiresAt).getTime() : null,
+  };
+
+  const result = await withTimeout(whitelistRef(sanitizedPhone).transaction(current => ({
+    ...(current || {}),
+    ...entry,
+    firstAddedAt: current?.firstAddedAt || current?.timestamp || now,
+  })), 'whitelist add');
 
   console.log(`${LOG_PREFIX} Added to whitelist: ${sanitizedPhone}`);
-  return response.data;
+  await writeAudit(sanitizedPhone, 'whitelist_add', entry.addedBy, {
+    name: entry.name, source, expiresAt: entry.expiresAt,
+  });
+  return result.snapshot.val();
   // Network/auth errors throw naturally → caught by formHandler's writeBoth → PendingQueue retry
 }
 
+/**
+ * Remove a whitelist entry.
+ * @param {string} phoneNumber - as stored (use getWhitelistEntry().phone for lookups)
+ * @param {{ by?: string, reason?: string }} [options]
+ * @returns {Promise<boolean|null>} null if RTDB not configured
+ */
+async function removeFromWhitelist(phoneNumber, options = {}) {
+  if (!isConfigured()) return null;
+
+  const sanitizedPhone = sanitizePhoneForFirebase(phoneNumber);
+  await withTimeout(whitelistRef(sanitizedPhone).remove(), 'whitelist remove');
+
+  console.log(`${LOG_PREFIX} Removed from whitelist: ${sanitizedPhone}`);
+  await writeAudit(sanitizedPhone, 'whitelist_remove', options.by, { reason: options.reason || '' });
+  return true;
+}
+
+/**
+ * Look up a whitelist entry by phone. Tries the E.164 key first, then the
+ * legacy keys older entries were written under ('+' + raw digits, and +91
+ * + last 10 digits) — a hit on those is logged as a legacy match.
+ * @returns {Promise<Object|null>} { phone: <RTDB key>, name, source, ... } or null
+ */
+async function getWhitelistEntry(phoneNumber) {
+  if (!isConfigured()) return null;
+
+  const canonical = sanitizePhoneForFirebase(phoneNumber);
+  const candidates = [...new Set([
+    canonical,
+    `+${phoneNumber.toString().replace(/\D/g, '')}`,
+    `+91${getLastTenDigits(phoneNumber)}`,
+  ])];
+
+  for (const key of candidates) {
+    const snap = await withTimeout(whitelistRef(key).once('value'), 'whitelist get');
+    if (!snap.exists()) continue;
+    if (key !== canonical) console.warn(`${LOG_PREFIX} LEGACY whitelist key ${key} for ${canonical}`);
+    return { phone: key, ...snap.val() };
+  }
+  return null;
+}
+
+/**
+ * Page through the whitelist in key (phone) order.
+ * @param {{ limit?: number, startAfter?: string }} [options]
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>}
+ */
+async function listWhitelist(options = {}) {
+  if (!isConfigured()) return { items: [], nextCursor: null };
+
+  const limit = Math.min(parseInt(options.limit, 10) || F.WHITELIST_LIST_LIMIT, F.WHITELIST_LIST_LIMIT);
+  let query = getRtdb().ref(F.WHITELIST_PATH).orderByKey();
+  // startAfter is exclusive, so the cursor entry itself is not repeated
+  if (options.startAfter) query = query.startAfter(options.startAfter);
+
+  const snap = await withTimeout(query.limitToFirst(limit).once('value'), 'whitelist list');
+  const items = [];
+  snap.forEach(child => { items.push({ phone: child.key, ...child.val() }); });
+
+  return {
+    items,
+    nextCursor: items.length === limit ? items[items.length - 1].phone : null,
+  };
+}
+
+/**
+ * Remove every entry whose expiresAt has passed. Each removal is a
+ * transaction that re-checks expiresAt, so an entry renewed mid-sweep stays.
+ * @param {{ now?: number, dryRun?: boolean, by?: string }} [options]
+ * @returns {Promise<{ expired: string[], removed: number, errors: Array }>}
+ */
+async function sweepExpiredWhitelist(options = {}) {
+  if (!isConfigured()) return { expired: [], removed: 0, errors: [] };
+
+  const now = options.now || Date.now();
+  // startAt 1 skips entries with no expiresAt (null sorts first)
+  const snap = await withTimeout(getRtdb().ref(F.WHITELIST_PATH)
+    .orderByChild('expiresAt').startAt(1).endAt(now)
+    .once('value'), 'whitelist sweep');
+
+  const expired = [];
+  snap.forEach(child => { expired.push(child.key); });
+
+  const errors = [];
+  let removed = 0;
+
+  if (!options.dryRun) {
+    for (const phone of expired) {
+      try {
+        // null deletes; undefined aborts (entry gone or renewed)
+        const result = await withTimeout(whitelistRef(phone).transaction(current =>
+          (current === null || (current.expiresAt && current.expiresAt <= now)) ? null : undefined
+        ), 'whitelist expire');
+        if (!result.committed) continue;
+
+        removed++;
+        await writeAudit(phone, 'whitelist_expire', options.by || 'whitelist_sweep', { expiredAt: now });
+      } catch (err) {
+        errors.push({ phone, error: err.message });
+      }
+    }
+  }
+
+  console.log(`${LOG_PREFIX} Whitelist sweep: ${expired.length} expired, ${removed} removed${options.dryRun ? ' (dry run)' : ''}`);
+  return { expired, removed, errors };
+}
+
+/**
+ * Audit records for one phone, oldest first.
+ */
+async function getWhitelistAudit(phoneNumber) {
+  if (!isConfigured()) return [];
+
+  const entry = await getWhitelistEntry(phoneNumber);
+  const key = entry?.phone || sanitizePhoneForFirebase(phoneNumber);
+  const snap = await withTimeout(getRtdb().ref(F.WHITELIST_AUDIT_PATH)
+    .orderByChild('phone').equalTo(key)
+    .once('value'), 'audit read');
+
+  const records = [];
+  snap.forEach(child => { records.push({ id: child.key, ...child.val() }); });
+  return records.sort((a, b) => (a.id < b.id ? -1 : 1));   // push ids are chronological
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  COURSE ENTITLEMENTS — entitlements/{courseId}/{phone}
+// ═══════════════════════════════════════════════════════════════════════════
+
+function entitlementRef(courseId, phoneNumber) {
+  return getRtdb().ref(`${F.ENTITLEMENTS_PATH}/${courseId}/${sanitizePhoneForFirebase(phoneNumber)}`);
+}
+
+/**
+ * Grant (or change) course access for a phone.
+ * @param {string} courseId - RTDB-safe key
+ * @param {string} phoneNumber
+ * @param {{ access: 'full'|'partial', cgId: string, reason: string }} entry
+ */
+async function setEntitlement(courseId, phoneNumber, entry) {
+  if (!isConfigured()) return null;
+
+  const value = { ...entry, timestamp: nowISO() };
+  await withTimeout(entitlementRef(courseId, phoneNumber).set(value), 'entitlement set');
+
+  console.log(`${LOG_PREFIX} Entitlement ${courseId}/${sanitizePhoneForFirebase(phoneNumber)} → ${entry.access}`);
+  return value;
+}
+
+/**
+ * Revoke course access for a phone.
+ */
+async function removeEntitlement(courseId, phoneNumber) {
+  if (!isConfigured()) return null;
+
+  await withTimeout(entitlementRef(courseId, phoneNumber).remove(), 'entitlement remove');
+  console.log(`${LOG_PREFIX} Entitlement removed: ${courseId}/${sanitizePhoneForFirebase(phoneNumber)}`);
+  return true;
+}
+
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════
 
 module.exports = {
-  addToWhitelist
-};
\ No newline at end of file
+  addToWhitelist,
+  removeFromWhitelist,
+  getWhitelistEntry,
+  listWhitelist,
+  sweepExpiredWhitelist,
+  getWhitelistAudit,
+  setEntitlement,
+  removeEntitlement,
+};
@@ -2,13 +2,16 @@
 //  services/firestoreService.js — Firestore CRM Database
 //
 //  Phase 2: Firestore-first (Firestore is source of truth, Sheets gets async backup)
-//  Lead storage with history tracking. Uses centralized helpers.
+//  Lead storage with history tracking (leads/{cgId}/history). Uses centralized helpers.
 // ============================================================================
 
-const admin = require('firebase-admin');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getFirestore, FieldValue, FieldPath } = require('firebase-admin/firestore');
 const config = require('../config');
-const { normalizePhone, cleanString, nowISO,formatDate } = require('../utils/helpers');
+const { getApp } = require('../lib/firebaseApp');
+const {
+  parsePhone, normalizePhone, cleanString, nowISO, formatDate, formatTimeIST,
+  parseAmount, computePaymentTotals, buildInstallmentSchedule, allocateInstallments,
+} = require('../utils/helpers');
 
 const LOG_PREFIX = '[Firestore]';
 
@@ -16,6 +19,12 @@ let db = null;
 
 const COLLECTION = config.FIRESTORE.COLLECTION;
 const COUNTERS_DOC = config.FIRESTORE.COUNTERS_DOC;
+const PHONES_COLLECTION = config.FIRESTORE.PHONES_COLLECTION;
+const PAYMENTS_SUBCOLLECTION = config.FIRESTORE.PAYMENTS_SUBCOLLECTION;
+const HISTORY_SUBCOLLECTION = config.FIRESTORE.HISTORY_SUBCOLLECTION;
+const HISTORY_PAGE_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+const BATCH_SIZE = 450;
 
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -24,12 +33,7 @@ const COUNTERS_DOC = config.FIRESTORE.COUNTERS_DOC;
 
 function getDb() {
   if (!db) {
-    if (!admin.apps.length) {
-      admin.initializeApp({
-        databaseURL: config.FIREBASE.DATABASE_URL
-      });
-    }
-    db = getFirestore();
+    db = getFirestore(getApp());
     console.log(`${LOG_PREFIX} Initialized`);
   }
   return db;
@@ -37,45 +41,18 @@ function getDb() {
 
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  COUNTRY CODE EXTRACTION
+//  COUNTRY CODE EXTRACTION — from the E.164 parse (utils/helpers.js)
 // ═══════════════════════════════════════════════════════════════════════════
 
-const COUNTRY_CODES = {
-  '91': { iso: 'IN', name: 'India' },
-  '1': { iso: 'US', name: 'USA/Canada' },
-  '971': { iso: 'AE', name: 'UAE' },
-  '65': { iso: 'SG', name: 'Singapore' },
-  '44': { iso: 'GB', name: 'UK' },
-  '61': { iso: 'AU', name: 'Australia' },
-  '81': { iso: 'JP', name: 'Japan' },
-  '49': { iso: 'DE', name: 'Germany' },
-  '33': { iso: 'FR', name: 'France' },
-  '86': { iso: 'CN', name: 'China' },
-  '7': { iso: 'RU', name: 'Russia' },
-  '92': { iso: 'PK', name: 'Pakistan' },
-  '880': { iso: 'BD', name: 'Bangladesh' },
-  '94': { iso: 'LK', name: 'Sri Lanka' },
-  '977': { iso: 'NP', name: 'Nepal' },
-  '966': { iso: 'SA', name: 'Saudi Arabia' },
-  '974': { iso: 'QA', name: 'Qatar' },
-  '968': { iso: 'OM', name: 'Oman' },
-  '973': { iso: 'BH', name: 'Bahrain' },
-  '965': { iso: 'KW', name: 'Kuwait' },
-};
-
 function extractCountryInfo(phone) {
-  const digits = normalizePhone(phone);
-  for (const len of [3, 2, 1]) {
-    const prefix = digits.substring(0, len);
-    if (COUNTRY_CODES[prefix]) {
-      return {
-        ...COUNTRY_CODES[prefix],
-        countryCode: '+' + prefix,
-        localNumber: digits.substring(len)
-      };
-    }
-  }
-  return { iso: 'XX', name: 'Unknown', countryCode: '', localNumber: digits };
+  const parsed = parsePhone(phone);
+  if (!parsed) return { iso: 'XX', name: 'Unknown', countryCode: '', localNumber: normalizePhone(phone) };
+  return {
+    iso: parsed.iso,
+    name: parsed.name,
+    countryCode: '+' + parsed.countryCode,
+    localNumber: parsed.nationalNumber,
+  };
 }
 
 
@@ -83,34 +60,46 @@ function extractCountryInfo(phone) {
 //  CGID GENERATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function getNextCgId() {
-  const firestore = getDb();
-
-  // Get current YYMM in IST
+/**
+ * Current CGID period (YYMM in IST) and its counter doc ref.
+ */
+function _cgIdCounter(firestore) {
   const now = new Date();
   const ist = new Date(now.getTime() + (5.5 * 60 * 60 * 1000));
   const yy = String(ist.getFullYear()).slice(-2);
   const mm = String(ist.getMonth() + 1).padStart(2, '0');
   const period = `${yy}${mm}`;
 
-  const counterRef = firestore.doc(`counters/cgid-${period}`);
-
-  const newId = await firestore.runTransaction(async (transaction) => {
-    const counterDoc = await transaction.get(counterRef);
-    const nextNum = counterDoc.exists
-      ? (counterDoc.data().leadCounter || 0) + 1
-      : 1;
+  return { period, counterRef: firestore.doc(`counters/cgid-${period}`) };
+}
 
-    transaction.set(counterRef, {
-      leadCounter: nextNum,
-      lastUpdated: nowISO()
-    }, { merge: true });
+/**
+ * Reserve the next sequence number inside an existing transaction.
+ * All transaction reads must happen before writes — pass the counter
+ * snapshot already read by the caller.
+ */
+function _reserveCgId(transaction, period, counterRef, counterDoc) {
+  const nextNum = counterDoc.exists
+    ? (counterDoc.data().leadCounter || 0) + 1
+    : 1;
 
-    return nextNum;
-  });
+  transaction.set(counterRef, {
+    leadCounter: nextNum,
+    lastUpdated: nowISO()
+  }, { merge: true });
 
-  return `CG-${period}-${newId}`;
+  return `CG-${period}-${nextNum}`;
   // No zero padding on the sequence number per spec
+}
+
+async function getNextCgId() {
+  const firestore = getDb();
+  const { period, counterRef } = _cgIdCounter(firestore);
+
+  return firestore.runTransaction(async (transaction) => {
+    const counterDoc = await transaction.get(counterRef);
+    return _reserveCgId(transaction, period, counterRef, counterDoc);
+  });
   // Transaction failure throws → createLead throws → buildWriteBoth catches → PendingQueue retries
 }
 
@@ -119,23 +108,237 @@ async function getNextCgId() {
 //  QUERIES
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * Lead by phone. phoneNormalized is the E.164 digits; leads created before
+ * strict parsing may hold the raw digits instead ('9876543210'), so those
+ * are tried too — a hit on them is logged as a legacy match.
+ *
+ * Falls back to the lead's alias phones (aliasPhones), so a payment or login
+ * from a registration / alternate number resolves to the same CGID. Alias
+ * hits carry `alias: { phone, type }`.
+ */
 async function findLeadByPhone(phone) {
   const firestore = getDb();
   const phoneNorm = normalizePhone(phone);
 
   if (!phoneNorm || phoneNorm.length < 10) return null;  // expected: bad input
 
+  const rawDigits = String(phone).replace(/\D/g, '');
+  const candidates = [...new Set([phoneNorm, rawDigits])].filter(d => d.length >= 10);
+
   const snapshot = await firestore
     .collection(COLLECTION)
-    .where('phoneNormalized', '==', phoneNorm)
+    .where('phoneNormalized', 'in', candidates)
+    .limit(candidates.length)
+    .get();
+
+  if (snapshot.empty) return _findLeadByAlias(firestore, phoneNorm);
+
+  const doc = snapshot.docs.find(d => d.data().phoneNormalized === phoneNorm) || snapshot.docs[0];
+  if (doc.data().phoneNormalized !== phoneNorm) {
+    console.warn(`${LOG_PREFIX} LEGACY phone match: ${doc.id} stored ${doc.data().phoneNormalized}, expected ${phoneNorm}`);
+  }
+  if (doc.data().mergedInto) return _followMerge(doc);
+  return { docId: doc.id, data: doc.data() };
+  // Firestore network/permission errors throw naturally — no catch
+}
+
+/**
+ * A merged lead resolves to its survivor (leadMergeService), so the old
+ * phone or CGID keeps finding the right lead.
+ */
+async function _followMerge(doc) {
+  const survivor = await getDb().collection(COLLECTION).doc(doc.data().mergedInto).get();
+  if (!survivor.exists) {
+    console.warn(`${LOG_PREFIX} ${doc.id} merged into missing lead ${doc.data().mergedInto}`);
+    return { docId: doc.id, data: doc.data() };
+  }
+  console.log(`${LOG_PREFIX} ${doc.id} → ${survivor.id} (merged)`);
+  return { docId: survivor.id, data: survivor.data(), mergedFrom: doc.id };
+}
+
+async function _findLeadByAlias(firestore, phoneNorm) {
+  const snapshot = await firestore
+    .collection(COLLECTION)
+    .where('aliasPhones', 'array-contains', phoneNorm)
     .limit(1)
     .get();
 
   if (snapshot.empty) return null;  // expected: lead doesn't exist
 
   const doc = snapshot.docs[0];
+  const alias = (doc.data().phoneAliases || []).find(a => a.phone === phoneNorm) || { phone: phoneNorm, type: '' };
+  console.log(`${LOG_PREFIX} Alias match: ${phoneNorm} → ${doc.id} (${alias.type})`);
+  return { docId: doc.id, data: doc.data(), alias };
+}
+
+/**
+ * Lead by CGID (the doc id). Used where a caller carries the CGID
+ * instead of a phone — e.g. gateway payment notes. A merged CGID
+ * resolves to its survivor.
+ */
+async function findLeadByCgId(cgId) {
+  if (!cgId) return null;
+  const doc = await getDb().collection(COLLECTION).doc(String(cgId).trim()).get();
+  if (!doc.exists) return null;
+  if (doc.data().mergedInto) return _followMerge(doc);
   return { docId: doc.id, data: doc.data() };
-  // Firestore network/permission errors throw naturally — no catch
+}
+
+/**
+ * Lead that a gateway payment link was issued to (lead.paymentLinkId).
+ */
+async function findLeadByPaymentLinkId(linkId) {
+  if (!linkId) return null;
+  const snapshot = await getDb()
+    .collection(COLLECTION)
+    .where('paymentLinkId', '==', linkId)
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+  const doc = snapshot.docs[0];
+  if (doc.data().mergedInto) return _followMerge(doc);
+  return { docId: doc.id, data: doc.data() };
+}
+
+
+/**
+ * All leads currently in a pipeline stage.
+ * @param {string} stage - config.STAGES value
+ * @returns {Promise<Array<{ docId: string, data: Object }>>}
+ */
+async function findLeadsByStage(stage) {
+  const snapshot = await getDb()
+    .collection(COLLECTION)
+    .where('pipelineStage', '==', stage)
+    .get();
+  return snapshot.docs.map(doc => ({ docId: doc.id, data: doc.data() }));
+}
+
+
+/**
+ * Leads that completed registration (non-empty regiNo).
+ * @returns {Promise<Array<{ docId: string, data: Object }>>}
+ */
+async function findRegisteredLeads() {
+  const snapshot = await getDb()
+    .collection(COLLECTION)
+    .where('regiNo', '!=', '')
+    .get();
+  return snapshot.docs.map(doc => ({ docId: doc.id, data: doc.data() }));
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SEARCH — filtered, sorted, paginated lead lists (GET leads?view=search)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Fields returned by searchLeads — enough for a dashboard row
+const SEARCH_FIELDS = [
+  'cgId', 'name', 'phone', 'phoneNormalized', 'countryISO', 'pipelineStage', 'agent',
+  'status', 'source', 'inquiry', 'product', 'engagementScore', 'paymentStatus',
+  'amountPaid', 'mergedInto', 'createdAt', 'updatedAt',
+];
+
+/**
+ * Lowercased name with punctuation and extra spaces removed — what
+ * name-prefix search matches against.
+ */
+function normalizeSearchName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Derived search fields for a lead write: nameSearch (from name) and
+ * inquiryTags (from the comma-joined inquiry). Only fields present in
+ * `fields` are derived, so it can be spread into partial updates.
+ * @param {Object} fields - lead fields being written
+ * @returns {{ nameSearch?: string, inquiryTags?: string[] }}
+ */
+function searchFieldsFor(fields) {
+  const derived = {};
+  if (fields.name !== undefined) derived.nameSearch = normalizeSearchName(fields.name);
+  if (fields.inquiry !== undefined) {
+    derived.inquiryTags = [...new Set(String(fields.inquiry || '').split(',').map(t => t.trim()).filter(Boolean))];
+  }
+  return derived;
+}
+
+/**
+ * One page of leads. Callers validate the combination (leadHandler):
+ * a prefix search orders by the prefixed field, a created range by createdAt.
+ *
+ * @param {Object} opts
+ * @param {Object<string, string>} [opts.filters] - config.LEAD_SEARCH.FILTERS keys → value
+ * @param {string} [opts.createdFrom] - ISO, inclusive
+ * @param {string} [opts.createdTo]   - ISO, inclusive
+ * @param {string} [opts.namePrefix]  - matched against nameSearch
+ * @param {string} [opts.phonePrefix] - digits, matched against phoneNormalized
+ * @param {string} [opts.sort]  - 'createdAt' | 'updatedAt' (default createdAt)
+ * @param {string} [opts.order] - 'asc' | 'desc' (default desc; prefix searches asc)
+ * @param {number} [opts.limit]
+ * @param {Array}  [opts.startAfter] - [sortValue, docId] from the previous page
+ * @param {boolean} [opts.includeMerged] - keep merge tombstones
+ * @returns {Promise<{ items: Object[], nextCursor: Array|null }>}
+ *   nextCursor — [sortValue, docId] of the page's last doc
+ */
+async function searchLeads(opts = {}) {
+  const S = config.LEAD_SEARCH;
+  const limit = Math.min(parseInt(opts.limit, 10) || S.PAGE_LIMIT, S.MAX_LIMIT);
+
+  let query = getDb().collection(COLLECTION).select(...SEARCH_FIELDS);
+  for (const [param, value] of Object.entries(opts.filters || {})) {
+    const { field, op } = S.FILTERS[param];
+    query = query.where(field, op, value);
+  }
+
+  let sortField = opts.sort || 'createdAt';
+  let order = opts.order === 'asc' ? 'asc' : 'desc';
+  const prefix = opts.namePrefix
+    ? { field: 'nameSearch', value: normalizeSearchName(opts.namePrefix) }
+    : opts.phonePrefix ? { field: 'phoneNormalized', value: opts.phonePrefix } : null;
+
+  if (prefix) {
+    sortField = prefix.field;
+    order = 'asc';
+    query = query
+      .where(prefix.field, '>=', prefix.value)
+      .where(prefix.field, '<', `${prefix.value}\uf8ff`);
+  }
+  if (opts.createdFrom) query = query.where('createdAt', '>=', opts.createdFrom);
+  if (opts.createdTo) query = query.where('createdAt', '<=', opts.createdTo);
+
+  query = query.orderBy(sortField, order).orderBy(FieldPath.documentId(), order);
+  if (opts.startAfter) query = query.startAfter(...opts.startAfter);
+
+  const snapshot = await query.limit(limit).get();
+  const last = snapshot.docs[snapshot.docs.length - 1];
+  const items = snapshot.docs
+    .map(doc => ({ ...doc.data(), cgId: doc.data().cgId || doc.id }))
+    .filter(lead => opts.includeMerged || !lead.mergedInto);
+
+  return {
+    items,
+    nextCursor: snapshot.size === limit ? [last.get(sortField) ?? '', last.id] : null,
+  };
+}
+
+
+/**
+ * Every lead, projected to `fields` (full scans — reports only).
+ * @param {string[]} fields - lead fields to read
+ * @returns {Promise<Array<{ docId: string, data: Object }>>}
+ */
+async function findAllLeads(fields) {
+  const snapshot = await getDb()
+    .collection(COLLECTION)
+    .select(...fields)
+    .get();
+  return snapshot.docs.map(doc => ({ docId: doc.id, data: doc.data() }));
 }
 
 
@@ -156,10 +359,9 @@ async function createLead(leadData) {
   const existing = await findLeadByPhone(phone);
   if (existing) {
     console.log(`${LOG_PREFIX} Lead exists: ${existing.data.cgId}`);
-    return { docId: existing.docId, cgId: existing.data.cgId, created: false };  // expected: already exists
+    return { docId: existing.docId, cgId: existing.data.cgId, phone: existing.data.phone, created: false };  // expected: already exists
   }
 
-  const cgId = await getNextCgId();
   const now = nowISO();
   const countryInfo = extractCountryInfo(phone);
   const date = formatDate(now);
@@ -170,7 +372,6 @@ async function createLead(leadData) {
   });
 
   const doc = {
-    cgId,
     phone,
     phoneNormalized: phoneNorm,
     countryISO: countryInfo.iso,
@@ -233,21 +434,71 @@ async function createLead(leadData) {
     partialAccess: false,
     accessThreshold: '',
     paymentDeadline: '',
+    // Payment ledger rollups — entries live in leads/{cgId}/payments
+    installmentSchedule: [],
+    paymentCount: 0,
+    lastPaymentAt: '',
+    nextDueDate: '',
+    nextDueAmount: '',
+    // Gateway payment link issued on sales_review → payment
+    paymentLinkId: '',
+    paymentLinkUrl: '',
+    paymentLinkAmount: '',
+    paymentLinkExpiresAt: '',
+    // Deadline scheduler state — reset when sales re-approves
+    paymentRemindersSent: [],
+    paymentOverdue: false,
+    entitlement: null,   // { courseId, access, updatedAt } — see entitlementService
+    // Masterclass attendance rollups — records live in the attendance collection
+    sessionsAttended: 0,
+    attendedSessions: [],
+    lastAttendedAt: '',
+    // Engagement — counters per signal, score = weighted sum (engagementService)
+    engagementCounts: {},
+    engagementScore: 0,
+    lastEngagedAt: '',
+    // Other numbers of this lead — { phone (E.164 digits), type, addedAt, by };
+    // aliasPhones mirrors the digits for array-contains lookups
+    phoneAliases: [],
+    aliasPhones: [],
     createdAt: now,
     updatedAt: now,
     sheetRow: leadData.sheetRow || null,
-    history: [{
-      action: 'lead_created',
-      by: 'system',
-      at: now,
-      details: { source: leadData.source || '', channel: leadData.channel || 'webhook' }
-    }]
   };
+  Object.assign(doc, searchFieldsFor(doc));
+  const createdEvent = buildHistoryEvent('lead_created', 'system',
+    { source: leadData.source || '', channel: leadData.channel || 'webhook' }, now);
+
+  // CGID counter, phone claim and lead doc commit together. The
+  // phones/{phoneNormalized} claim is what stops two instances racing past
+  // the findLeadByPhone check above from minting two CGIDs for one phone.
+  const { period, counterRef } = _cgIdCounter(firestore);
+  const claimRef = firestore.collection(PHONES_COLLECTION).doc(phoneNorm);
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const [claimDoc, counterDoc] = await Promise.all([
+      transaction.get(claimRef),
+      transaction.get(counterRef),
+    ]);
+
+    if (claimDoc.exists) {
+      return { cgId: claimDoc.data().cgId, phone: claimDoc.data().phone, created: false };  // lost the race — someone else created it
+    }
+
+    const cgId = _reserveCgId(transaction, period, counterRef, counterDoc);
+    transaction.create(claimRef, { cgId, phone, claimedAt: now });
+    transaction.set(firestore.collection(COLLECTION).doc(cgId), { cgId, ...doc });
+    writeHistory(transaction, cgId, createdEvent);
+    return { cgId, phone, created: true };
+  });
+
+  if (!result.created) {
+    console.log(`${LOG_PREFIX} Lead exists (phone claim): ${result.cgId}`);
+    return { docId: result.cgId, cgId: result.cgId, phone: result.phone, created: false };
+  }
 
-  const docRef = firestore.collection(COLLECTION).doc(cgId);
-  await docRef.set(doc);
-  console.log(`${LOG_PREFIX} Lead created: ${cgId} (docId=${cgId})`);
-  return { docId: cgId, cgId, created: true };
+  console.log(`${LOG_PREFIX} Lead created: ${result.cgId} (docId=${result.cgId})`);
+  return { docId: result.cgId, cgId: result.cgId, phone: result.phone, created: true };
   // Firestore errors throw naturally → caught by buildWriteBoth → PendingQueue retries
 }
 
@@ -261,20 +512,17 @@ async function updateLead(phone, updates, historyEntry) {
   }
 
   const docRef = firestore.collection(COLLECTION).doc(existing.docId);
-  const payload = { ...updates, updatedAt: nowISO() };
+  const batch = firestore.batch();
+  batch.update(docRef, { ...updates, ...searchFieldsFor(updates), updatedAt: nowISO() });
 
   if (historyEntry) {
-    payload.history = FieldValue.arrayUnion({
-      action: historyEntry.action,
-      by: historyEntry.by || 'system',
-      at: nowISO(),
-      details: historyEntry.details || {}
-    });
+    writeHistory(batch, existing.docId,
+      buildHistoryEvent(historyEntry.action, historyEntry.by, historyEntry.details));
   }
 
-  await docRef.update(payload);
+  await batch.commit();
   console.log(`${LOG_PREFIX} Lead updated: ${existing.data.cgId}`);
-  return { docId: existing.docId, cgId: existing.data.cgId, updated: true };
+  return { docId: existing.docId, cgId: existing.data.cgId, phone: existing.data.phone, updated: true };
   // Firestore errors throw naturally → caught by caller
 }
 
@@ -283,18 +531,419 @@ async function addHistory(phone, action, by, details = {}) {
   if (!existing) return null;  // expected: lead not found
 
   const firestore = getDb();
-  await firestore.collection(COLLECTION).doc(existing.docId).update({
-    updatedAt: nowISO(),
-    history: FieldValue.arrayUnion({
-      action, by: by || 'system', at: nowISO(), details
-    })
-  });
+  const batch = firestore.batch();
+  batch.update(firestore.collection(COLLECTION).doc(existing.docId), { updatedAt: nowISO() });
+  writeHistory(batch, existing.docId, buildHistoryEvent(action, by, details));
+  await batch.commit();
 
   console.log(`${LOG_PREFIX} History added: ${existing.data.cgId} → ${action}`);
   return { docId: existing.docId, cgId: existing.data.cgId, action };
   // Firestore errors throw naturally
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  PHONE ALIASES
+//  A lead's other numbers (config.PHONE.ALIAS_TYPES). Each alias also claims
+//  phones/{digits}, so one number never resolves to two leads.
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Attach an alias phone to the lead that owns `phone`.
+ *
+ * @param {string} phone - any phone that resolves to the lead
+ * @param {string} aliasPhone - the other number
+ * @param {string} type - config.PHONE.ALIAS_TYPES value
+ * @param {string} [by='system']
+ * @returns {Promise<{ cgId: string, alias: string, added: boolean, reason?: string, conflictCgId?: string }|null>}
+ *   null if no lead or the alias doesn't parse. added false when the alias
+ *   is already this lead's (reason 'exists') or another lead's ('conflict').
+ */
+async function addPhoneAlias(phone, aliasPhone, type, by = 'system') {
+  if (!config.PHONE.ALIAS_TYPES.includes(type)) throw new Error(`Unknown alias type: ${type}`);
+
+  const parsed = parsePhone(aliasPhone);
+  if (!parsed) {
+    console.warn(`${LOG_PREFIX} addPhoneAlias skipped — invalid phone: ${aliasPhone}`);
+    return null;  // expected: bad input
+  }
+
+  const existing = await findLeadByPhone(phone);
+  if (!existing) return null;  // expected: lead not found
+
+  const firestore = getDb();
+  const cgId = existing.data.cgId;
+  const aliasNorm = parsed.digits;
+  if (aliasNorm === existing.data.phoneNormalized) {
+    return { cgId, alias: aliasNorm, added: false, reason: 'exists' };
+  }
+
+  // Leads created before phone claims have none — check the leads themselves too
+  const owner = await findLeadByPhone(aliasNorm);
+  if (owner && owner.docId !== existing.docId) {
+    console.warn(`${LOG_PREFIX} Alias ${aliasNorm} for ${cgId} belongs to ${owner.data.cgId} — merge candidates`);
+    return { cgId, alias: aliasNorm, added: false, reason: 'conflict', conflictCgId: owner.data.cgId };
+  }
+
+  const leadRef = firestore.collection(COLLECTION).doc(existing.docId);
+  const claimRef = firestore.collection(PHONES_COLLECTION).doc(aliasNorm);
+  const now = nowISO();
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const [claimDoc, leadDoc] = await Promise.all([transaction.get(claimRef), transaction.get(leadRef)]);
+
+    if (claimDoc.exists && claimDoc.data().cgId !== cgId) {
+      return { added: false, reason: 'conflict', conflictCgId: claimDoc.data().cgId };
+    }
+    if ((leadDoc.data().aliasPhones || []).includes(aliasNorm)) {
+      return { added: false, reason: 'exists' };
+    }
+
+    if (!claimDoc.exists) {
+      transaction.create(claimRef, { cgId, phone: parsed.e164, aliasType: type, claimedAt: now });
+    }
+    transaction.update(leadRef, {
+      phoneAliases: FieldValue.arrayUnion({ phone: aliasNorm, type, addedAt: now, by }),
+      aliasPhones: FieldValue.arrayUnion(aliasNorm),
+      updatedAt: now,
+    });
+    writeHistory(transaction, existing.docId,
+      buildHistoryEvent('phone_alias_added', by, { phone: aliasNorm, type }, now));
+    return { added: true };
+  });
+
+  if (result.reason === 'conflict') {
+    console.warn(`${LOG_PREFIX} Alias ${aliasNorm} for ${cgId} is claimed by ${result.conflictCgId} — merge candidates`);
+  } else if (result.added) {
+    console.log(`${LOG_PREFIX} Alias added: ${cgId} ← ${aliasNorm} (${type})`);
+  }
+  return { cgId, alias: aliasNorm, ...result };
+  // Firestore errors throw naturally → caught by buildWriteBoth → PendingQueue retries
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  HISTORY — leads/{cgId}/history/{eventId}
+//  One doc per event: { action, by, at, details }. Event ids start with the
+//  ISO time ('2026-10-19T09:30:00.000Z_k3J9xQ2a'), so document-id order is
+//  chronological and a page cursor is the last id. Leads created before
+//  this keep a `history` array until scripts/migrate-history-subcollection.js.
+// ═══════════════════════════════════════════════════════════════════════════
+
+function buildHistoryEvent(action, by, details, at = nowISO()) {
+  return { action, by: by || 'system', at, details: details || {} };
+}
+
+function _historyCollection(docId) {
+  return getDb().collection(COLLECTION).doc(docId).collection(HISTORY_SUBCOLLECTION);
+}
+
+/**
+ * Id for an event migrated from the legacy `history` array — deterministic,
+ * so migrating (or merge-copying) the same array twice writes the same docs.
+ */
+function legacyHistoryEventId(entry, index) {
+  return `${entry.at || ''}_legacy${String(index).padStart(4, '0')}`;
+}
+
+/**
+ * Queue a history event on a transaction or batch, so it commits with
+ * the lead update it describes.
+ *
+ * @param {Transaction|WriteBatch} writer
+ * @param {string} docId - lead doc id (CGID)
+ * @param {Object} event - buildHistoryEvent()
+ */
+function writeHistory(writer, docId, event) {
+  const events = _historyCollection(docId);
+  writer.set(events.doc(`${event.at}_${events.doc().id.slice(0, 8)}`), event);
+}
+
+/**
+ * A lead's history, newest first by default.
+ * @param {string} docId - lead doc id (CGID)
+ * @param {{ limit?: number, startAfter?: string, action?: string, order?: 'asc'|'desc',
+ *           until?: string }} [opts]
+ *   startAfter — eventId cursor from the previous page's nextCursor;
+ *   until — ISO time, only events at or before it
+ * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+ */
+async function listHistory(docId, opts = {}) {
+  const limit = Math.min(parseInt(opts.limit, 10) || HISTORY_PAGE_LIMIT, HISTORY_MAX_LIMIT);
+
+  let query = _historyCollection(docId);
+  if (opts.action) query = query.where('action', '==', opts.action);
+  // '~' sorts after every id suffix, so events at exactly `until` are included
+  if (opts.until) query = query.where(FieldPath.documentId(), '<', `${opts.until}~`);
+  query = query.orderBy(FieldPath.documentId(), opts.order === 'asc' ? 'asc' : 'desc');
+  if (opts.startAfter) query = query.startAfter(opts.startAfter);
+
+  const snapshot = await query.limit(limit).get();
+  const items = snapshot.docs.map(doc => ({ eventId: doc.id, ...doc.data() }));
+  return { items, nextCursor: items.length === limit ? items[items.length - 1].eventId : null };
+}
+
+/**
+ * Copy every history event of one lead to another (lead merge). Event ids
+ * are kept, so a re-run overwrites instead of duplicating. A legacy
+ * `history` array on the source is copied too.
+ *
+ * @param {string} fromDocId
+ * @param {string} toDocId
+ * @param {string[]} [skipActions] - actions not to copy
+ * @returns {Promise<number>} events copied
+ */
+async function copyHistory(fromDocId, toDocId, skipActions = []) {
+  const firestore = getDb();
+  const [snapshot, fromDoc] = await Promise.all([
+    _historyCollection(fromDocId).get(),
+    firestore.collection(COLLECTION).doc(fromDocId).get(),
+  ]);
+
+  const target = _historyCollection(toDocId);
+  const events = [
+    ...snapshot.docs.map(doc => [doc.id, doc.data()]),
+    ...(fromDoc.data()?.history || []).map((entry, i) => [legacyHistoryEventId(entry, i), entry]),
+  ].filter(([, event]) => !skipActions.includes(event.action));
+
+  for (let i = 0; i < events.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    events.slice(i, i + BATCH_SIZE).forEach(([id, event]) => batch.set(target.doc(id), event));
+    await batch.commit();
+  }
+  return events.length;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PAYMENT LEDGER — leads/{cgId}/payments/{paymentId}
+//  One doc per payment; rollups (amountPaid, pendingAmount, paymentStatus,
+//  fullyPaid, paymentCount, installment allocation) live on the lead doc.
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rollup fields for a lead given its price, total paid and installment plan.
+ */
+function _paymentRollups(finalPrice, totalPaid, schedule) {
+  const totals = computePaymentTotals(finalPrice, totalPaid);
+  const { schedule: allocated, nextDue } = allocateInstallments(schedule, totals.amountPaid);
+  return {
+    ...totals,
+    installmentSchedule: allocated,
+    nextDueDate:   nextDue ? nextDue.dueDate : '',
+    nextDueAmount: nextDue ? nextDue.amount : '',
+  };
+}
+
+/**
+ * Record one payment against a lead: writes a ledger doc and recomputes the
+ * rollups against finalPrice, in one transaction so concurrent payments
+ * both count.
+ *
+ * Idempotent per reference: the ledger doc id is the reference, so the
+ * same transaction ref is never counted twice. A reference equal to the
+ * agent-entered paymentRefId on a pre-ledger lead also counts as recorded.
+ *
+ * @param {string} phone
+ * @param {{ amount: number, mode: string, reference: string, paidAt: string, account?: string }} payment
+ * @param {string} [by]
+ * @param {string} [source] - 'webhook' | 'agent_form' | 'gateway' | ...
+ * @returns {Promise<Object|null>} { cgId, paymentId, duplicate, installmentNo, ...rollups } or null if no lead
+ */
+async function recordPayment(phone, payment, by = 'system', source = 'webhook') {
+  const existing = await findLeadByPhone(phone);
+  if (!existing) return null;  // expected: caller routes to manual review
+
+  const firestore = getDb();
+  const docRef = firestore.collection(COLLECTION).doc(existing.docId);
+  const ledger = docRef.collection(PAYMENTS_SUBCOLLECTION);
+  const payRef = payment.reference
+    ? ledger.doc(String(payment.reference).replace(/\//g, '_'))
+    : ledger.doc();
+
+  return firestore.runTransaction(async (transaction) => {
+    const [snap, paySnap] = await Promise.all([transaction.get(docRef), transaction.get(payRef)]);
+    const lead = snap.data();
+    const legacyRefs = lead.paymentRefIds || [];  // pre-ledger idempotency list
+
+    if (paySnap.exists || (payment.reference &&
+        (legacyRefs.includes(payment.reference) || lead.paymentRefId === payment.reference))) {
+      console.log(`${LOG_PREFIX} Payment ${payment.reference} already recorded on ${lead.cgId}`);
+      const { installmentSchedule, ...rollups } = _paymentRollups(
+        lead.finalPrice, lead.amountPaid, lead.installmentSchedule);
+      return { cgId: lead.cgId, paymentId: payRef.id, duplicate: true, ...rollups };
+    }
+
+    // Installment this payment goes towards = first one not yet covered
+    const before = allocateInstallments(lead.installmentSchedule, parseAmount(lead.amountPaid));
+    const installmentNo = before.nextDue ? before.nextDue.no : null;
+
+    const rollups = _paymentRollups(
+      lead.finalPrice, parseAmount(lead.amountPaid) + payment.amount, lead.installmentSchedule);
+    const now = nowISO();
+    const paidAt = payment.paidAt || now;
+
+    transaction.set(payRef, {
+      paymentId:  payRef.id,
+      type:       'payment',
+      cgId:       lead.cgId,
+      amount:     payment.amount,
+      mode:       payment.mode || '',
+      reference:  payment.reference || '',
+      account:    payment.account || '',
+      paidAt,
+      installmentNo,
+      source,
+      by:         by || 'system',
+      recordedAt: now,
+    });
+
+    const updates = {
+      ...rollups,
+      paymentCount:  FieldValue.increment(1),
+      lastPaymentAt: paidAt,
+      modeOfPay:     payment.mode || lead.modeOfPay || '',
+      paymentRefId:  payment.reference || lead.paymentRefId || '',
+      dateOfPayment: formatDate(paidAt),
+      timeOfPay:     formatTimeIST(paidAt),
+      updatedAt:     now,
+    };
+    if (payment.account) updates.receivedAccount = payment.account;
+
+    transaction.update(docRef, updates);
+    writeHistory(transaction, docRef.id, buildHistoryEvent('payment_received', by, {
+      paymentId: payRef.id, amount: payment.amount, mode: payment.mode || '',
+      reference: payment.reference || '', paidAt, source, installmentNo,
+      amountPaid: rollups.amountPaid, pendingAmount: rollups.pendingAmount,
+      paymentStatus: rollups.paymentStatus,
+    }, now));
+    console.log(`${LOG_PREFIX} Payment recorded: ${lead.cgId} +${payment.amount} → ${rollups.paymentStatus}`);
+
+    const { installmentSchedule, ...summary } = rollups;
+    return { cgId: lead.cgId, paymentId: payRef.id, duplicate: false, installmentNo, ...summary };
+  });
+  // Firestore errors throw naturally → caught by buildWriteBoth → PendingQueue retries
+}
+
+/**
+ * Record a refund against a lead: a negative ledger entry keyed by the
+ * refund id, with rollups recomputed. paymentCount is not touched.
+ *
+ * @param {string} phone
+ * @param {{ amount: number, refundId: string, paymentRef?: string, refundedAt?: string }} refund
+ * @param {string} [by]
+ * @param {string} [source]
+ * @returns {Promise<Object|null>} { cgId, paymentId, duplicate, ...rollups } or null if no lead
+ */
+async function recordRefund(phone, refund, by = 'system', source = 'gateway') {
+  const existing = await findLeadByPhone(phone);
+  if (!existing) return null;
+
+  const firestore = getDb();
+  const docRef = firestore.collection(COLLECTION).doc(existing.docId);
+  const refRef = docRef.collection(PAYMENTS_SUBCOLLECTION).doc(String(refund.refundId).replace(/\//g, '_'));
+
+  return firestore.runTransaction(async (transaction) => {
+    const [snap, refSnap] = await Promise.all([transaction.get(docRef), transaction.get(refRef)]);
+    const lead = snap.data();
+
+    if (refSnap.exists) {
+      console.log(`${LOG_PREFIX} Refund ${refund.refundId} already recorded on ${lead.cgId}`);
+      const { installmentSchedule, ...rollups } = _paymentRollups(
+        lead.finalPrice, lead.amountPaid, lead.installmentSchedule);
+      return { cgId: lead.cgId, paymentId: refRef.id, duplicate: true, ...rollups };
+    }
+
+    const rollups = _paymentRollups(
+      lead.finalPrice, parseAmount(lead.amountPaid) - refund.amount, lead.installmentSchedule);
+    const now = nowISO();
+    const refundedAt = refund.refundedAt || now;
+
+    transaction.set(refRef, {
+      paymentId:  refRef.id,
+      type:       'refund',
+      cgId:       lead.cgId,
+      amount:     -refund.amount,
+      reference:  refund.paymentRef || '',
+      paidAt:     refundedAt,
+      source,
+      by:         by || 'system',
+      recordedAt: now,
+    });
+
+    transaction.update(docRef, { ...rollups, updatedAt: now });
+    writeHistory(transaction, docRef.id, buildHistoryEvent('refund_processed', by, {
+      refundId: refund.refundId, amount: refund.amount, paymentRef: refund.paymentRef || '',
+      amountPaid: rollups.amountPaid, pendingAmount: rollups.pendingAmount,
+      paymentStatus: rollups.paymentStatus,
+    }, now));
+    console.log(`${LOG_PREFIX} Refund recorded: ${lead.cgId} -${refund.amount} → ${rollups.paymentStatus}`);
+
+    const { installmentSchedule, ...summary } = rollups;
+    return { cgId: lead.cgId, paymentId: refRef.id, duplicate: false, ...summary };
+  });
+}
+
+/**
+ * Build (or rebuild) the installment schedule from finalPrice and the
+ * installment count, then re-allocate what has already been paid.
+ * Called when sales approves a lead for payment.
+ *
+ * @param {string} phone
+ * @param {{ installments: number, firstDueDate: Date|string }} plan
+ * @returns {Promise<Object|null>} { cgId, installmentSchedule, ...rollups } or null if no lead
+ */
+async function setInstallmentPlan(phone, plan) {
+  const existing = await findLeadByPhone(phone);
+  if (!existing) return null;
+
+  const firestore = getDb();
+  const docRef = firestore.collection(COLLECTION).doc(existing.docId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const lead = (await transaction.get(docRef)).data();
+    const schedule = buildInstallmentSchedule(
+      lead.finalPrice, plan.installments, plan.firstDueDate, config.PAYMENTS.INSTALLMENT_INTERVAL_DAYS);
+    const rollups = _paymentRollups(lead.finalPrice, lead.amountPaid, schedule);
+
+    transaction.update(docRef, { ...rollups, installment: schedule.length || 1, updatedAt: nowISO() });
+    console.log(`${LOG_PREFIX} Installment plan set: ${lead.cgId} (${schedule.length} × due from ${schedule[0]?.dueDate || '-'})`);
+    return { cgId: lead.cgId, ...rollups };
+  });
+}
+
+/**
+ * Ledger entries for a lead, oldest first.
+ * @param {string} docId - lead doc id (cgId)
+ */
+async function listPayments(docId) {
+  const snapshot = await getDb()
+    .collection(COLLECTION).doc(docId)
+    .collection(PAYMENTS_SUBCOLLECTION)
+    .orderBy('paidAt')
+    .get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Park a payment that matched no lead for manual reconciliation.
+ * Doc id = reference when present, so the same unmatched payment is stored once.
+ */
+async function addUnmatchedPayment(payment) {
+  const firestore = getDb();
+  const col = firestore.collection(config.FIRESTORE.UNMATCHED_PAYMENTS_COLLECTION);
+  const docRef = payment.reference ? col.doc(String(payment.reference).replace(/\//g, '_')) : col.doc();
+
+  await docRef.set({
+    ...payment,
+    phoneNormalized: normalizePhone(payment.phone),
+    status: 'unmatched',
+    createdAt: nowISO(),
+  }, { merge: true });
+
+  console.log(`${LOG_PREFIX} Unmatched payment stored: ${docRef.id}`);
+  return { id: docRef.id };
+}
+
 async function createOrUpdateLead(leadData, historyEntry) {
   const phone = leadData.phone || leadData.waId || '';
   const existing = await findLeadByPhone(phone);
@@ -356,10 +1005,28 @@ async function createOrUpdateLead(leadData, historyEntry) {
 module.exports = {
   getDb,
   findLeadByPhone,
+  findLeadByCgId,
+  findLeadByPaymentLinkId,
+  findLeadsByStage,
+  findRegisteredLeads,
+  findAllLeads,
+  searchLeads,
+  searchFieldsFor,
   createLead,
   updateLead,
   addHistory,
+  buildHistoryEvent,
+  writeHistory,
+  listHistory,
+  copyHistory,
+  legacyHistoryEventId,
+  addPhoneAlias,
   createOrUpdateLead,
+  recordPayment,
+  recordRefund,
+  setInstallmentPlan,
+  listPayments,
+  addUnmatchedPayment,
   getNextCgId,
   extractCountryInfo,
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// ============================================================================
+//  services/idempotencyStore.js — Cross-Instance Webhook Deduplication
+//
+//  One doc per event id in the processedEvents collection. The first
+//  delivery claims the id (create-if-absent inside a transaction); any
+//  other delivery — on any instance — sees the claim and either gets the
+//  original response back (done) or a duplicate_ignored (still running).
+//
+//  A 'processing' claim is a lease of EVENT_PROCESSING_LEASE_MS, so a claim
+//  left behind by a crashed instance doesn't block the sender's retries for
+//  long; a 'done' record keeps its response for EVENT_TTL_MS.
+//  `expiresAt` is a Firestore Timestamp so a TTL policy on that field
+//  cleans the collection up:
+//    gcloud firestore fields ttls update expiresAt \
+//      --collection-group=processedEvents --enable-ttl
+//  TTL deletion can lag, so claim() also treats expired docs as absent.
+// ============================================================================
+
+const { Timestamp } = require('firebase-admin/firestore');
+const FirestoreService = require('./firestoreService');
+const config = require('../config');
+const { nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Idempotency]';
+const COLLECTION = config.FIRESTORE.EVENTS_COLLECTION;
+const TTL_MS = config.FIRESTORE.EVENT_TTL_MS;
+const PROCESSING_LEASE_MS = config.FIRESTORE.EVENT_PROCESSING_LEASE_MS;
+
+
+function _ref(eventId) {
+  // Doc ids cannot contain '/'
+  const docId = String(eventId).replace(/\//g, '_');
+  return FirestoreService.getDb().collection(COLLECTION).doc(docId);
+}
+
+
+/**
+ * Claim an event id. Exactly one caller across all instances gets
+ * { claimed: true } until the record expires or is released. An expired
+ * 'processing' lease (its holder died) is claimable again.
+ *
+ * @param {string} eventId
+ * @returns {Promise<{ claimed: boolean, status?: string, response?: Object }>}
+ */
+async function claim(eventId) {
+  const db = FirestoreService.getDb();
+  const ref = _ref(eventId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+
+    if (snap.exists) {
+      const record = snap.data();
+      if (record.expiresAt && record.expiresAt.toMillis() > now) {
+        return { claimed: false, status: record.status, response: record.response || null };
+      }
+      // Expired lease or done record not yet swept by TTL — reclaim below
+    }
+
+    tx.set(ref, {
+      eventId,
+      status:    'processing',
+      response:  null,
+      createdAt: nowISO(),
+      expiresAt: Timestamp.fromMillis(now + PROCESSING_LEASE_MS),
+    });
+    return { claimed: true };
+  });
+}
+
+
+/**
+ * Mark a claimed event as done and cache its response for retried deliveries.
+ */
+async function complete(eventId, response) {
+  await _ref(eventId).update({
+    status:      'done',
+    response:    JSON.parse(JSON.stringify(response || {})),  // strip undefined
+    completedAt: nowISO(),
+    expiresAt:   Timestamp.fromMillis(Date.now() + TTL_MS),
+  });
+}
+
+
+/**
+ * Drop a claim (handler failed) so the sender's retry is processed again.
+ */
+async function release(eventId) {
+  await _ref(eventId).delete();
+  console.log(`${LOG_PREFIX} Released: ${eventId}`);
+}
+
+
+module.exports = { claim, complete, release };
@@ -0,0 +1,273 @@
+// ============================================================================
+//  services/leadMergeService.js — Merge Duplicate Leads
+//
+//  Two CGIDs for one person (different numbers, or a createLead race).
+//  The survivor absorbs the loser; the loser stays as a tombstone:
+//
+//    survivor: history (loser's events copied in — ids are time-ordered,
+//              so the feed stays chronological) + inquiry/product (union) +
+//              blank profile fields from the loser + loser's phone and
+//              aliases as aliases + engagement / attendance rollups
+//    loser:    mergedInto, mergedAt, mergedBy, pipelineStage 'dead'
+//    phones/{digits} claims of the loser's numbers → survivor
+//
+//  findLeadByPhone / findLeadByCgId follow mergedInto, so the loser's
+//  phone and CGID keep resolving to the survivor. The payments ledger is
+//  not moved — a lead with payments can only survive.
+//
+//  Run as the 'lead_merge' write op (lib/writeOps.js): the Firestore half
+//  is mergeLeads, the Sheet half removeMergedRows.
+// ============================================================================
+
+const FirestoreService  = require('./firestoreService');
+const SheetService      = require('./sheetsService');
+const { scoreFor }      = require('./engagementService');
+const config            = require('../config');
+const { ValidationError, NotFoundError } = require('../lib/errorHandler');
+const { nowISO, phoneNumbersMatch } = require('../utils/helpers');
+
+const LOG_PREFIX = '[LeadMerge]';
+const COLLECTION = config.FIRESTORE.COLLECTION;
+
+// Survivor fields taken from the loser when the survivor's are blank
+const FILL_FIELDS = ['name', 'email', 'location', 'regiNo', 'source'];
+
+// Rows per sheet removed at most — a lead should have one
+const MAX_ROWS_PER_SHEET = 3;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PLAN — pure
+// ═══════════════════════════════════════════════════════════════════════════
+
+function _union(a, b) {
+  return [...new Set([...(a || []), ...(b || [])])];
+}
+
+function _joinedUnion(a, b) {
+  const parts = _union(String(a || '').split(', '), String(b || '').split(', '));
+  return parts.filter(Boolean).join(', ');
+}
+
+function _later(a, b) {
+  return (a || '') > (b || '') ? a : b;
+}
+
+/**
+ * Which of two leads survives. Payments can't move, so a lead with
+ * payments must survive; otherwise `survivorCgId`, else the older lead.
+ *
+ * @param {Object} a - lead doc data
+ * @param {Object} b - lead doc data
+ * @param {string} [survivorCgId]
+ * @returns {{ survivor: Object, loser: Object }}
+ */
+function pickSurvivor(a, b, survivorCgId) {
+  const paid = [a, b].filter(lead => (lead.paymentCount || 0) > 0);
+  if (paid.length === 2) {
+    throw new ValidationError('Both leads have payments — merge by hand', { cgIds: [a.cgId, b.cgId] });
+  }
+  if (survivorCgId && ![a.cgId, b.cgId].includes(survivorCgId)) {
+    throw new ValidationError(`survivorCgId must be one of the merged leads: ${survivorCgId}`);
+  }
+  if (paid.length === 1 && survivorCgId && survivorCgId !== paid[0].cgId) {
+    throw new ValidationError(`${paid[0].cgId} has payments and must survive`, { cgId: paid[0].cgId });
+  }
+
+  const survivorId = survivorCgId || paid[0]?.cgId
+    || ((a.createdAt || '') <= (b.createdAt || '') ? a.cgId : b.cgId);
+  return survivorId === a.cgId ? { survivor: a, loser: b } : { survivor: b, loser: a };
+}
+
+/**
+ * Survivor field updates for a merge.
+ * @returns {Object} fields to write on the survivor (no FieldValues)
+ */
+function buildMergedFields(survivor, loser, by, now = nowISO()) {
+  const updates = {
+    inquiry: _joinedUnion(survivor.inquiry, loser.inquiry),
+    product: _joinedUnion(survivor.product, loser.product),
+  };
+
+  for (const field of FILL_FIELDS) {
+    if (!survivor[field] && loser[field]) updates[field] = loser[field];
+  }
+
+  // Loser's number + its aliases become survivor aliases
+  const aliases = [...(survivor.phoneAliases || [])];
+  const candidates = [
+    { phone: loser.phoneNormalized, type: 'alternate', addedAt: now, by },
+    ...(loser.phoneAliases || []),
+  ];
+  for (const alias of candidates) {
+    if (!alias.phone || alias.phone === survivor.phoneNormalized) continue;
+    if (aliases.some(a => a.phone === alias.phone)) continue;
+    aliases.push(alias);
+  }
+  updates.phoneAliases = aliases;
+  updates.aliasPhones = aliases.map(a => a.phone);
+
+  // Engagement counters add up; attendance is a set of sessions
+  const counts = { ...(survivor.engagementCounts || {}) };
+  for (const [signal, count] of Object.entries(loser.engagementCounts || {})) {
+    counts[signal] = (counts[signal] || 0) + count;
+  }
+  updates.engagementCounts = counts;
+  updates.engagementScore = scoreFor(counts);
+  updates.lastEngagedAt = _later(survivor.lastEngagedAt, loser.lastEngagedAt) || '';
+
+  updates.attendedSessions = _union(survivor.attendedSessions, loser.attendedSessions);
+  updates.sessionsAttended = updates.attendedSessions.length;
+  updates.lastAttendedAt = _later(survivor.lastAttendedAt, loser.lastAttendedAt) || '';
+
+  updates.mergedFrom = _union(survivor.mergedFrom, [loser.cgId]);
+  updates.updatedAt = now;
+  return { ...updates, ...FirestoreService.searchFieldsFor(updates) };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  FIRESTORE — mergeLeads
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge two leads (transaction). Re-running a completed merge is a no-op.
+ *
+ * @param {string[]} cgIds - the two CGIDs
+ * @param {{ survivorCgId?: string, by: string, dryRun?: boolean }} opts
+ * @returns {Promise<{ survivorCgId, loserCgId, survivorPhone, loserPhone, loserStage,
+ *   merged: boolean, alreadyMerged?: boolean, updates?: Object }>}
+ */
+async function mergeLeads(cgIds, opts) {
+  const [idA, idB] = cgIds;
+  if (!idA || !idB || idA === idB) throw new ValidationError('cgIds must be two different CGIDs', { cgIds });
+
+  const db = FirestoreService.getDb();
+  const refA = db.collection(COLLECTION).doc(idA);
+  const refB = db.collection(COLLECTION).doc(idB);
+
+  return db.runTransaction(async (tx) => {
+    const [snapA, snapB] = await Promise.all([tx.get(refA), tx.get(refB)]);
+    for (const snap of [snapA, snapB]) {
+      if (!snap.exists) throw new NotFoundError(`Lead not found: ${snap.id}`, { cgId: snap.id });
+    }
+    const a = { cgId: snapA.id, ...snapA.data() };
+    const b = { cgId: snapB.id, ...snapB.data() };
+
+    // Retry of a merge that already committed
+    const done = [a, b].find(lead => lead.mergedInto === (lead === a ? b : a).cgId);
+    if (done) {
+      const survivor = done === a ? b : a;
+      return {
+        survivorCgId: survivor.cgId, loserCgId: done.cgId,
+        survivorPhone: survivor.phone, loserPhone: done.phone,
+        loserStage: done.mergedFromStage || '', merged: true, alreadyMerged: true,
+      };
+    }
+    const stale = [a, b].find(lead => lead.mergedInto);
+    if (stale) {
+      throw new ValidationError(`${stale.cgId} was already merged into ${stale.mergedInto}`, { cgId: stale.cgId });
+    }
+
+    const { survivor, loser } = pickSurvivor(a, b, opts.survivorCgId);
+    const now = nowISO();
+    const updates = buildMergedFields(survivor, loser, opts.by, now);
+    const result = {
+      survivorCgId: survivor.cgId, loserCgId: loser.cgId,
+      survivorPhone: survivor.phone, loserPhone: loser.phone,
+      loserStage: loser.pipelineStage || '',
+    };
+    if (opts.dryRun) return { ...result, merged: false, updates };
+
+    tx.update(survivor.cgId === a.cgId ? refA : refB, updates);
+    FirestoreService.writeHistory(tx, survivor.cgId, FirestoreService.buildHistoryEvent('lead_merged', opts.by,
+      { loserCgId: loser.cgId, loserPhone: loser.phoneNormalized || '' }, now));
+    tx.update(loser.cgId === a.cgId ? refA : refB, {
+      mergedInto: survivor.cgId,
+      mergedAt: now,
+      mergedBy: opts.by,
+      mergedFromStage: loser.pipelineStage || '',
+      pipelineStage: config.STAGES.DEAD,
+      phoneAliases: [],
+      aliasPhones: [],
+      updatedAt: now,
+    });
+    FirestoreService.writeHistory(tx, loser.cgId, FirestoreService.buildHistoryEvent('merged_into', opts.by,
+      { survivorCgId: survivor.cgId }, now));
+
+    // The loser's numbers now belong to the survivor
+    const loserPhones = [loser.phoneNormalized, ...(loser.aliasPhones || [])].filter(Boolean);
+    for (const digits of loserPhones) {
+      tx.set(db.collection(config.FIRESTORE.PHONES_COLLECTION).doc(digits), {
+        cgId: survivor.cgId, mergedFrom: loser.cgId, claimedAt: now,
+      }, { merge: true });
+    }
+
+    return { ...result, merged: true };
+  }).then(async (result) => {
+    if (!result.merged) return result;
+    // Outside the transaction (no 500-write cap); event ids are kept, so a
+    // retry after a partial copy just overwrites
+    const copied = await FirestoreService.copyHistory(result.loserCgId, result.survivorCgId, ['merged_into']);
+    if (!result.alreadyMerged) {
+      console.log(`${LOG_PREFIX} ${result.loserCgId} → ${result.survivorCgId} by ${opts.by} (${copied} history events)`);
+    }
+    return result;
+  });
+  // Firestore errors throw naturally → caught by runWrite → PendingQueue retries
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SHEETS — removeMergedRows
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Delete the loser's rows from the DSR and its stage sheet. Every row on
+ * the loser's exact phone is checked, not just the first — after a
+ * createLead race both leads' rows carry the same number:
+ *   CGID cell = loser        → deleted
+ *   CGID cell = another lead → kept
+ *   CGID cell blank          → deleted only when the survivor is on a
+ *                              different number (else it may be theirs)
+ * Safe to re-run — a second pass finds nothing.
+ *
+ * @param {{ loserCgId: string, loserPhone: string, loserStage: string,
+ *           survivorPhone: string }} merge
+ * @returns {Promise<number>} rows deleted
+ */
+async function removeMergedRows(merge) {
+  const targets = [
+    { spreadsheetId: config.SPREADSHEET_ID, tabName: config.SHEETS.DSR },
+    config.getSheetForStage(merge.loserStage),
+  ].filter(Boolean)
+    .filter((t, i, all) => all.findIndex(o => o.spreadsheetId === t.spreadsheetId && o.tabName === t.tabName) === i);
+  const sharedPhone = phoneNumbersMatch(merge.loserPhone, merge.survivorPhone || '');
+
+  let deleted = 0;
+  for (const target of targets) {
+    const rows = await SheetService.findAllByPhone(merge.loserPhone, target.spreadsheetId, target.tabName);
+    const loserRows = rows.filter(({ row, data }) => {
+      if (data.cgid === merge.loserCgId) return true;
+      if (!data.cgid && !sharedPhone) return true;
+      console.warn(`${LOG_PREFIX} ${target.tabName} row ${row} is ${data.cgid || '(no CGID, shared phone)'}, not ${merge.loserCgId} — left in place`);
+      return false;
+    });
+
+    // Bottom-up, so earlier row numbers stay valid
+    for (const { row } of loserRows.slice(0, MAX_ROWS_PER_SHEET).reverse()) {
+      await SheetService.deleteRowFromSheet(target.spreadsheetId, target.tabName, row);
+      deleted++;
+    }
+  }
+
+  console.log(`${LOG_PREFIX} ${merge.loserCgId}: ${deleted} sheet row(s) removed`);
+  return deleted;
+}
+
+module.exports = {
+  pickSurvivor,
+  buildMergedFields,
+  mergeLeads,
+  removeMergedRows,
+};
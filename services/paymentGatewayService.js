@@ -0,0 +1,133 @@
+// ============================================================================
+//  services/paymentGatewayService.js — Payment Links (pluggable provider)
+//
+//  One interface, several providers (config.GATEWAY.PROVIDER):
+//    fake     — local stand-in, no network. Ids look like plink_fake_<hex>.
+//    razorpay — Razorpay Payment Links API.
+//
+//  Each provider: { createLink: async (req) => link }
+//    req:  { amount, cgId, name, phone, description, expiresAt (Date) }
+//    link: { id, url, amount, expiresAt (ISO), provider }
+//
+//  Add a gateway by adding to PROVIDERS, not by branching on its name.
+// ============================================================================
+
+const axios  = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const { normalizePhone, deadlineEndIST } = require('../utils/helpers');
+const { ConfigError, ExternalServiceError } = require('../lib/errorHandler');
+
+const LOG_PREFIX = '[PaymentGateway]';
+const G = config.GATEWAY;
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PROVIDERS = {
+  fake: {
+    createLink: async (req) => {
+      const id = `plink_fake_${crypto.randomBytes(6).toString('hex')}`;
+      return {
+        id,
+        url: `${G.FAKE_LINK_BASE_URL}/${id}`,
+        amount: req.amount,
+        expiresAt: req.expiresAt.toISOString(),
+        provider: 'fake',
+      };
+    },
+  },
+
+  razorpay: {
+    createLink: async (req) => {
+      if (!G.KEY_ID || !G.KEY_SECRET) {
+        throw new ConfigError('GATEWAY_KEY_ID / GATEWAY_KEY_SECRET not set');
+      }
+
+      try {
+        const response = await axios.post(`${G.API_BASE_URL}/payment_links`, {
+          amount: Math.round(req.amount * G.SUBUNIT),
+          currency: 'INR',
+          accept_partial: false,
+          description: req.description,
+          reference_id: `${req.cgId}_${Date.now()}`,
+          expire_by: Math.floor(req.expiresAt.getTime() / 1000),
+          customer: { name: req.name, contact: `+${normalizePhone(req.phone)}` },
+          notify: { sms: false, email: false },   // we send it over WhatsApp
+          reminder_enable: false,
+          notes: { cgId: req.cgId },
+        }, {
+          auth: { username: G.KEY_ID, password: G.KEY_SECRET },
+          timeout: config.TIMEOUTS.GATEWAY,
+        });
+
+        const data = response.data;
+        return {
+          id: data.id,
+          url: data.short_url,
+          amount: data.amount / G.SUBUNIT,
+          expiresAt: new Date(data.expire_by * 1000).toISOString(),
+          provider: 'razorpay',
+        };
+      } catch (err) {
+        const detail = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+        console.error(`${LOG_PREFIX} createLink failed (${err.response?.status || 'network'}): ${detail}`);
+        throw new ExternalServiceError(detail, 'PaymentGateway');
+      }
+    },
+  },
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getProvider() {
+  const provider = PROVIDERS[G.PROVIDER];
+  if (!provider) throw new ConfigError(`Unknown payment gateway provider: ${G.PROVIDER}`);
+  return provider;
+}
+
+/**
+ * Link expiry for a payment deadline. A date-only deadline ('YYYY-MM-DD')
+ * runs to the end of that day IST. No deadline → LINK_DEFAULT_EXPIRY_DAYS.
+ * Never earlier than LINK_MIN_EXPIRY_MS from now.
+ *
+ * @param {string} [paymentDeadline]
+ * @returns {Date}
+ */
+function linkExpiryFor(paymentDeadline) {
+  const now = Date.now();
+  const deadline = deadlineEndIST(paymentDeadline);
+  const expiry = deadline
+    ? deadline.getTime()
+    : now + G.LINK_DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+  return new Date(Math.max(expiry, now + G.LINK_MIN_EXPIRY_MS));
+}
+
+/**
+ * Create a payment link with the configured provider.
+ * @param {{ amount: number, cgId: string, name?: string, phone: string,
+ *           description?: string, expiresAt: Date }} req
+ * @returns {Promise<{ id, url, amount, expiresAt, provider }>}
+ */
+async function createPaymentLink(req) {
+  const link = await getProvider().createLink({
+    ...req,
+    name: req.name || req.cgId,
+    description: req.description || `CosmoGuru fee — ${req.cgId}`,
+  });
+  console.log(`${LOG_PREFIX} Link ${link.id} (${link.provider}) for ${req.cgId}: ${link.amount}, expires ${link.expiresAt}`);
+  return link;
+}
+
+
+module.exports = {
+  PROVIDERS,
+  createPaymentLink,
+  linkExpiryFor,
+};
@@ -1,119 +1,264 @@
 // ============================================================================
-//  pendingQueue.js — In-Memory Retry Queue for Failed Writes
+//  pendingQueue.js — Durable Retry Queue for Failed Writes (Firestore-backed)
+//
+//  Failed writes are persisted as { op, payload, state } descriptors (see
+//  lib/writeOps.js) in the pendingOps collection, doc id = operationId.
+//  Any instance can claim a due item, replay it through writeBoth.runWrite
+//  and store the progress back — a scale-down or redeploy no longer loses
+//  the Sheet half of a lead.
+//
+//  Claiming = pushing nextRetryAt forward by LEASE_MS inside a transaction.
+//  If the claiming instance dies mid-retry, the item becomes due again
+//  once the lease runs out.
 // ============================================================================
 
+const crypto = require('crypto');
+const FirestoreService = require('./firestoreService');
+const DeadLetterStore  = require('./deadLetterStore');
+const config = require('../config');
+
 const MAX_RETRIES = 5;
 const BACKOFF_MS = [0, 10000, 30000, 60000, 120000];
 const POLL_INTERVAL_MS = 10000;
+const LEASE_MS = 120000;      // must outlive one full write attempt (Sheets timeout is 30s)
+const CLAIM_BATCH = 10;
+const STATS_LIMIT = 50;
+
+const COLLECTION = config.FIRESTORE.PENDING_COLLECTION;
+const INSTANCE_ID = `${process.env.K_REVISION || 'local'}-${crypto.randomBytes(4).toString('hex')}`;
+const ALREADY_EXISTS = 6;     // gRPC status code returned by doc.create()
 
-const queue = [];
 let intervalId = null;
 let isProcessing = false;
 
+// Fallback when Firestore itself is unreachable at enqueue time.
+// Flushed to the collection on the next poll.
+const unpersisted = [];
 
-function enqueue(operationId, writeFn, metadata = {}) {
-  if (queue.find(item => item.operationId === operationId)) {
-    console.log(`[PendingQueue] Already queued: ${operationId}`);
-    return;
-  }
 
-  queue.push({
+function _collection() {
+  return FirestoreService.getDb().collection(COLLECTION);
+}
+
+function _iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+
+/**
+ * Persist a failed write for retry.
+ *
+ * @param {string} operationId - Unique id (doc id) — duplicates are ignored
+ * @param {{ op: string, payload: Object, state: Object }} descriptor
+ * @param {Object} metadata - { phone, handler, ... } for logs and stats
+ */
+async function enqueue(operationId, descriptor, metadata = {}) {
+  const now = Date.now();
+
+  // JSON round-trip strips undefined values — Firestore rejects them
+  const item = JSON.parse(JSON.stringify({
     operationId,
-    writeFn,
+    op:          descriptor.op,
+    payload:     descriptor.payload,
+    state:       descriptor.state,
     metadata,
-    attempts: 0,
-    nextRetryAt: Date.now(),
-    enqueuedAt: Date.now(),
-  });
+    attempts:    0,
+    lastError:   '',
+    leaseOwner:  '',
+    nextRetryAt: _iso(now),
+    enqueuedAt:  _iso(now),
+  }));
+
+  try {
+    await _collection().doc(operationId).create(item);
+    console.warn(`[PendingQueue] ⏳ Enqueued: ${operationId} | ${JSON.stringify(metadata)}`);
+  } catch (err) {
+    if (err.code === ALREADY_EXISTS) {
+      console.log(`[PendingQueue] Already queued: ${operationId}`);
+      return;
+    }
+    unpersisted.push(item);
+    console.error(`[PendingQueue] Persist failed, holding in memory: ${operationId} — ${err.message}`);
+  }
 
-  console.warn(`[PendingQueue] ⏳ Enqueued: ${operationId} | ${JSON.stringify(metadata)}`);
   _ensureRunning();
 }
 
 
-function getStats() {
+async function getStats() {
+  const [countSnap, snapshot] = await Promise.all([
+    _collection().count().get(),
+    _collection().orderBy('nextRetryAt').limit(STATS_LIMIT).get(),
+  ]);
+
   return {
-    pending: queue.length,
+    pending:     countSnap.data().count,
+    unpersisted: unpersisted.length,
     isProcessing,
-    items: queue.map(item => ({
-      operationId: item.operationId,
-      attempts:    item.attempts,
-      nextRetryAt: new Date(item.nextRetryAt).toISOString(),
-      metadata:    item.metadata,
-    })),
+    instanceId:  INSTANCE_ID,
+    items: snapshot.docs.map(doc => {
+      const item = doc.data();
+      return {
+        operationId: item.operationId,
+        op:          item.op,
+        attempts:    item.attempts,
+        nextRetryAt: item.nextRetryAt,
+        leaseOwner:  item.leaseOwner || null,
+        lastError:   item.lastError || null,
+        state:       item.state,
+        metadata:    item.metadata,
+      };
+    }),
   };
 }
 
 
+/**
+ * Start the retry loop so this instance picks up items left behind by
+ * instances that have since died. Called once at startup.
+ */
+function start() {
+  if (!config.FIRESTORE.ENABLED) return;
+  _ensureRunning();
+}
+
+
 function _ensureRunning() {
   if (intervalId) return;
   intervalId = setInterval(_processQueue, POLL_INTERVAL_MS);
-  console.log('[PendingQueue] Retry loop started');
+  console.log(`[PendingQueue] Retry loop started (${INSTANCE_ID})`);
 }
 
 
 async function _processQueue() {
   if (isProcessing) return;
-  if (queue.length === 0) return;
-
   isProcessing = true;
 
   try {
-    const now = Date.now();
-    const toRemove = [];
-
-    for (let i = 0; i < queue.length; i++) {
-      const item = queue[i];
-
-      if (item.nextRetryAt > now) continue;
-
-      item.attempts++;
-      console.log(`[PendingQueue] Retry #${item.attempts}: ${item.operationId}`);
-
-      try {
-        await item.writeFn();
-
-        toRemove.push(i);
-        console.log(`[PendingQueue] ✅ Resolved: ${item.operationId} after ${item.attempts} attempt(s)`);
-
-      } catch (err) {
-        // Check if this was the LAST attempt — dead letter IMMEDIATELY
-        if (item.attempts >= MAX_RETRIES) {
-          console.error(JSON.stringify({
-            type:        'DEAD_LETTER',
-            severity:    'CRITICAL',
-            operationId: item.operationId,
-            attempts:    item.attempts,
-            lastError:   err.message,
-            metadata:    item.metadata,
-            enqueuedAt:  new Date(item.enqueuedAt).toISOString(),
-            diedAt:      new Date().toISOString(),
-          }));
-          toRemove.push(i);
-        } else {
-          const backoff = BACKOFF_MS[item.attempts] || BACKOFF_MS[BACKOFF_MS.length - 1];
-          item.nextRetryAt = Date.now() + backoff;
-          console.warn(
-            `[PendingQueue] ❌ #${item.attempts} failed: ${item.operationId} — ${err.message}. Next in ${backoff / 1000}s`
-          );
-        }
-      }
-    }
+    await _flushUnpersisted();
 
-    for (let i = toRemove.length - 1; i >= 0; i--) {
-      queue.splice(toRemove[i], 1);
+    const due = await _collection()
+      .where('nextRetryAt', '<=', _iso(Date.now()))
+      .orderBy('nextRetryAt')
+      .limit(CLAIM_BATCH)
+      .get();
+
+    for (const doc of due.docs) {
+      const item = await _claim(doc.ref);
+      if (!item) continue;  // claimed by another instance in the meantime
+      await _retry(doc.ref, item);
     }
 
-    if (queue.length === 0 && intervalId) {
-      clearInterval(intervalId);
-      intervalId = null;
-      console.log('[PendingQueue] Queue empty — retry loop stopped');
+    if (due.empty && unpersisted.length === 0) {
+      const remaining = await _collection().limit(1).get();
+      if (remaining.empty && intervalId) {
+        clearInterval(intervalId);
+        intervalId = null;
+        console.log('[PendingQueue] Queue empty — retry loop stopped');
+      }
     }
 
+  } catch (err) {
+    console.error(`[PendingQueue] Poll failed: ${err.message}`);
   } finally {
     isProcessing = false;
   }
 }
 
 
-module.exports = { enqueue, getStats };
\ No newline at end of file
+async function _flushUnpersisted() {
+  while (unpersisted.length > 0) {
+    const item = unpersisted[0];
+    try {
+      await _collection().doc(item.operationId).create(item);
+    } catch (err) {
+      if (err.code !== ALREADY_EXISTS) throw err;
+    }
+    unpersisted.shift();
+    console.log(`[PendingQueue] Persisted held item: ${item.operationId}`);
+  }
+}
+
+
+/**
+ * Take a lease on a due item. Returns the item (attempts already
+ * incremented) or null if it is no longer due / no longer exists.
+ */
+async function _claim(ref) {
+  const db = FirestoreService.getDb();
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const item = snap.data();
+    const now = Date.now();
+    if (item.nextRetryAt > _iso(now)) return null;
+
+    item.attempts = (item.attempts || 0) + 1;
+    tx.update(ref, {
+      attempts:    item.attempts,
+      leaseOwner:  INSTANCE_ID,
+      nextRetryAt: _iso(now + LEASE_MS),
+    });
+    return item;
+  });
+}
+
+
+async function _retry(ref, item) {
+  // Lazy: lib/writeBoth requires this module
+  const { runWrite } = require('../lib/writeBoth');
+
+  const descriptor = { op: item.op, payload: item.payload, state: item.state || {} };
+  console.log(`[PendingQueue] Retry #${item.attempts}: ${item.operationId}`);
+
+  let err = null;
+  try {
+    await runWrite(descriptor);
+  } catch (e) {
+    err = e;
+  }
+
+  if (!err) {
+    await ref.delete();
+    console.log(`[PendingQueue] ✅ Resolved: ${item.operationId} after ${item.attempts} attempt(s)`);
+    return;
+  }
+
+  // Check if this was the LAST attempt — dead letter IMMEDIATELY
+  if (item.attempts >= MAX_RETRIES) {
+    console.error(JSON.stringify({
+      type:        'DEAD_LETTER',
+      severity:    'CRITICAL',
+      operationId: item.operationId,
+      attempts:    item.attempts,
+      lastError:   err.message,
+      metadata:    item.metadata,
+      enqueuedAt:  item.enqueuedAt,
+      diedAt:      new Date().toISOString(),
+    }));
+
+    // Move to the dead-letter store and drop from the queue atomically.
+    // If this batch fails the item stays queued and dies again next poll.
+    const batch = FirestoreService.getDb().batch();
+    batch.set(DeadLetterStore.docRef(item.operationId),
+      DeadLetterStore.buildEntry(item, descriptor.state, err.message));
+    batch.delete(ref);
+    await batch.commit();
+  } else {
+    const backoff = BACKOFF_MS[item.attempts] || BACKOFF_MS[BACKOFF_MS.length - 1];
+    await ref.update({
+      state:       descriptor.state,   // keep progress: the half that succeeded is skipped next time
+      lastError:   err.message,
+      leaseOwner:  '',
+      nextRetryAt: _iso(Date.now() + backoff),
+    });
+    console.warn(
+      `[PendingQueue] ❌ #${item.attempts} failed: ${item.operationId} — ${err.message}. Next in ${backoff / 1000}s`
+    );
+  }
+}
+
+
+module.exports = { enqueue, getStats, start };
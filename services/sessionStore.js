@@ -0,0 +1,192 @@
+// ============================================================================
+//  services/sessionStore.js — Masterclass Sessions
+//
+//  One doc per scheduled masterclass in the sessions collection:
+//    sessions/{sessionId}
+//      { sessionId, title, mode: 'online'|'offline', startAt, endAt (ISO),
+//        groupLink, confirmationTemplate, cancelled, createdAt, updatedAt }
+//
+//  'offline' is the Ahmedabad in-person batch. groupLink and
+//  confirmationTemplate are what the registration confirmation sends —
+//  they used to be fixed in config.WHATSAPP.
+//
+//  Attendance window for a login (attributeLogin):
+//    startAt - EARLY_WINDOW_MINUTES ... startAt          → 'early'
+//    startAt ... startAt + LATE_GRACE_MINUTES            → 'on_time'
+//    after that, up to endAt                             → 'late'
+// ============================================================================
+
+const FirestoreService = require('./firestoreService');
+const config = require('../config');
+const { ValidationError } = require('../lib/errorHandler');
+const { dateKeyIST, nowISO } = require('../utils/helpers');
+
+const LOG_PREFIX = '[Sessions]';
+const COLLECTION = config.FIRESTORE.SESSIONS_COLLECTION;
+const S = config.SESSIONS;
+const MINUTE_MS = 60 * 1000;
+
+// Candidates fetched per lookup, then filtered by mode in memory
+// (avoids a composite index on mode + startAt/endAt)
+const ATTRIBUTION_CANDIDATES = 5;
+const UPCOMING_CANDIDATES = 10;
+
+
+function _collection() {
+  return FirestoreService.getDb().collection(COLLECTION);
+}
+
+function _iso(value, field) {
+  const d = new Date(value);
+  if (!value || isNaN(d.getTime())) throw new ValidationError(`Invalid ${field}: ${value}`, { field });
+  return d.toISOString();
+}
+
+
+/**
+ * Validate and normalize a session definition.
+ * @param {Object} input - { sessionId?, title?, mode, startAt, endAt, groupLink, confirmationTemplate }
+ * @returns {Object} session fields (without timestamps)
+ */
+function buildSession(input) {
+  if (!S.MODES.includes(input.mode)) {
+    throw new ValidationError(`Invalid mode: ${input.mode}`, { allowed: S.MODES });
+  }
+  const startAt = _iso(input.startAt, 'startAt');
+  const endAt = _iso(input.endAt, 'endAt');
+  if (endAt <= startAt) throw new ValidationError('endAt must be after startAt', { startAt, endAt });
+  if (!input.groupLink || !input.confirmationTemplate) {
+    throw new ValidationError('groupLink and confirmationTemplate are required');
+  }
+
+  return {
+    sessionId:            input.sessionId || `mc_${dateKeyIST(startAt)}_${input.mode}`,
+    title:                input.title || '',
+    mode:                 input.mode,
+    startAt,
+    endAt,
+    groupLink:            input.groupLink,
+    confirmationTemplate: input.confirmationTemplate,
+    cancelled:            input.cancelled === true,
+  };
+}
+
+
+/**
+ * Create or replace a session (createdAt survives updates).
+ */
+async function saveSession(input) {
+  const session = buildSession(input);
+  const ref = _collection().doc(session.sessionId);
+  const existing = await ref.get();
+  const now = nowISO();
+
+  const doc = { ...session, createdAt: existing.exists ? existing.data().createdAt : now, updatedAt: now };
+  await ref.set(doc);
+  console.log(`${LOG_PREFIX} Saved ${session.sessionId} (${session.mode} ${session.startAt})`);
+  return doc;
+}
+
+async function getSession(sessionId) {
+  const doc = await _collection().doc(sessionId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+async function cancelSession(sessionId) {
+  await _collection().doc(sessionId).update({ cancelled: true, updatedAt: nowISO() });
+  console.log(`${LOG_PREFIX} Cancelled ${sessionId}`);
+}
+
+/**
+ * Sessions in start order.
+ * @param {{ from?: string, limit?: number, startAfter?: string }} [opts]
+ *   from — ISO lower bound on startAt; startAfter — startAt cursor
+ * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+ */
+async function listSessions(opts = {}) {
+  const limit = Math.min(parseInt(opts.limit, 10) || S.LIST_LIMIT, S.LIST_LIMIT);
+
+  let query = _collection().orderBy('startAt');
+  if (opts.from) query = query.where('startAt', '>=', _iso(opts.from, 'from'));
+  if (opts.startAfter) query = query.startAfter(opts.startAfter);
+
+  const snapshot = await query.limit(limit).get();
+  const items = snapshot.docs.map(doc => doc.data());
+  return { items, nextCursor: items.length === limit ? items[items.length - 1].startAt : null };
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  LOOKUPS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Next session of a mode that hasn't ended — the one a new registrant
+ * is confirmed for.
+ */
+async function findUpcomingSession(mode, now = new Date()) {
+  const snapshot = await _collection()
+    .where('endAt', '>=', now.toISOString())
+    .orderBy('endAt')
+    .limit(UPCOMING_CANDIDATES)
+    .get();
+
+  return snapshot.docs
+    .map(doc => doc.data())
+    .filter(s => s.mode === mode && !s.cancelled)
+    .sort((a, b) => (a.startAt < b.startAt ? -1 : 1))[0] || null;
+}
+
+/**
+ * Classify a login against one session's window.
+ * @returns {'early'|'on_time'|'late'|null} null if outside the window
+ */
+function loginTiming(session, loginAt) {
+  const t = new Date(loginAt).getTime();
+  const start = new Date(session.startAt).getTime();
+  const end = new Date(session.endAt).getTime();
+
+  if (t < start - S.EARLY_WINDOW_MINUTES * MINUTE_MS || t > end) return null;
+  if (t < start) return 'early';
+  if (t <= start + S.LATE_GRACE_MINUTES * MINUTE_MS) return 'on_time';
+  return 'late';
+}
+
+/**
+ * Session whose window contains a login (LOGIN_MODE sessions only).
+ * When windows overlap, the session starting closest to the login wins.
+ *
+ * @returns {Promise<{ session: Object, timing: string }|null>}
+ */
+async function attributeLogin(loginAt) {
+  const t = new Date(loginAt).getTime();
+  const latestStart = new Date(t + S.EARLY_WINDOW_MINUTES * MINUTE_MS).toISOString();
+
+  const snapshot = await _collection()
+    .where('startAt', '<=', latestStart)
+    .orderBy('startAt', 'desc')
+    .limit(ATTRIBUTION_CANDIDATES)
+    .get();
+
+  const match = snapshot.docs
+    .map(doc => doc.data())
+    .filter(s => s.mode === S.LOGIN_MODE && !s.cancelled)
+    .map(session => ({ session, timing: loginTiming(session, loginAt) }))
+    .filter(m => m.timing)
+    .sort((a, b) =>
+      Math.abs(new Date(a.session.startAt) - t) - Math.abs(new Date(b.session.startAt) - t))[0];
+
+  return match || null;
+}
+
+
+module.exports = {
+  buildSession,
+  saveSession,
+  getSession,
+  cancelSession,
+  listSessions,
+  findUpcomingSession,
+  loginTiming,
+  attributeLogin,
+};
@@ -8,7 +8,7 @@
 
 const { google } = require('googleapis');
 const config = require('../config');
-const { formatDate, getLastTenDigits, phoneNumbersMatch } = require('../utils/helpers');
+const { formatDate, getLastTenDigits, matchPhones } = require('../utils/helpers');
 
 let sheets;
 
@@ -30,11 +30,24 @@ async function getSheets() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 const CACHE_TTL_MS = 5 * 60 * 1000;  // 5 minutes
-const _columnMapCache = {};  // keyed by `${spreadsheetId}::${sheetName}`
+const _columnMapCache = {};  // keyed by `${layout}::${spreadsheetId}::${sheetName}`
+
+// Header dictionary + must-have fields per sheet layout
+const SHEET_LAYOUTS = {
+  dsr: {
+    headerToField: config.HEADER_TO_FIELD,
+    critical: ['number', 'name', 'status', 'team'],
+  },
+  attendance: {
+    headerToField: config.ATTENDANCE_HEADER_TO_FIELD,
+    critical: ['name', 'number', 'regiNumber', 'attendance'],
+  },
+};
 
-async function getColumnMap(sheetName, spreadsheetId) {
+async function getColumnMap(sheetName, spreadsheetId, layout = 'dsr') {
   spreadsheetId = spreadsheetId || config.SPREADSHEET_ID;
-  const cacheKey = `${spreadsheetId}::${sheetName}`;
+  const cacheKey = `${layout}::${spreadsheetId}::${sheetName}`;
+  const { headerToField, critical } = SHEET_LAYOUTS[layout];
 
   const cached = _columnMapCache[cacheKey];
   if (cached && (Date.now() - cached.fetchedAt < CACHE_TTL_MS)) {
@@ -54,7 +67,7 @@ async function getColumnMap(sheetName, spreadsheetId) {
   for (let i = 0; i < headers.length; i++) {
     const headerText = (headers[i] || '').trim();
     if (!headerText) continue;
-    const fieldKey = config.HEADER_TO_FIELD[headerText];
+    const fieldKey = headerToField[headerText];
     if (fieldKey) {
       map[fieldKey] = i;
       reverseMap[i] = fieldKey;
@@ -62,7 +75,6 @@ async function getColumnMap(sheetName, spreadsheetId) {
   }
 
   // Validate critical fields
-  const critical = ['number', 'name', 'status', 'team'];
   const missing = critical.filter(f => map[f] === undefined);
   if (missing.length > 0) {
     console.error(`[Sheet] WARNING: Missing headers in ${sheetName}: ${missing.join(', ')}`);
@@ -85,6 +97,19 @@ function rowToObject(rowArray, colMap) {
   return obj;
 }
 
+/**
+ * Inverse of rowToObject: field-keyed object → row array sized to the
+ * header row. Fields without a column are dropped.
+ */
+function objectToRow(fields, colMap) {
+  const row = new Array(colMap.headerCount).fill('');
+  for (const [fieldKey, value] of Object.entries(fields)) {
+    const colIdx = colMap.map[fieldKey];
+    if (colIdx !== undefined && value !== undefined) row[colIdx] = value;
+  }
+  return row;
+}
+
 
 // ═════════════════════════════════════════════════════════════
 //  UPSERT CONTACT — unified create-or-update in Sheet5
@@ -257,10 +282,11 @@ async function updateContactCells(row, fields, spreadsheetId, tabName) {
 
 // ═════════════════════════════════════════════════════════════
 //  FIND BY PHONE — Sheet-only phone scan
-//  Scans Sheet5 for a matching phone number.
+//  Scans Sheet5 for a matching phone number (E.164 compare; cells
+//  that don't parse fall back to last-10 with matchType 'legacy').
 //  NO Firestore lookup — handler does that separately.
 //
-//  @returns {{ row: number, data: string[] }} or null
+//  @returns {{ row: number, data: Object, matchType: 'exact'|'legacy' }} or null
 // ═════════════════════════════════════════════════════════════
 async function findByPhone(phoneNumber, spreadsheetId, tabName) {
   spreadsheetId = spreadsheetId || config.SPREADSHEET_ID;
@@ -284,7 +310,9 @@ async function findByPhone(phoneNumber, spreadsheetId, tabName) {
 
   for (let i = 0; i < phoneCol.length; i++) {
     const registeredNum = phoneCol[i][0] || '';
-    if (phoneNumbersMatch(phoneNumber, registeredNum)) {
+    // Hand-typed cells may not parse — last-10 fallback is allowed, and flagged
+    const matchType = matchPhones(phoneNumber, registeredNum, { allowLegacy: true, source: `${tabName} row ${i + 2}` });
+    if (matchType) {
       const matchedRow = i + 2;
 
       const lastLetter = config.colLetter(colMap.headerCount - 1);
@@ -294,147 +322,192 @@ async function findByPhone(phoneNumber, spreadsheetId, tabName) {
       });
 
       const rowArray = (rowResponse.data.values && rowResponse.data.values[0]) || [];
-      return { row: matchedRow, data: rowToObject(rowArray, colMap) };
+      return { row: matchedRow, data: rowToObject(rowArray, colMap), matchType };
     }
   }
 
   return null;
 }
 
+/**
+ * Every row whose phone matches exactly (E.164) — for callers that must
+ * tell rows of two leads on one number apart (lead merge). One read of
+ * the whole tab; rows in sheet order.
+ * @returns {Promise<Array<{ row: number, data: Object }>>}
+ */
+async function findAllByPhone(phoneNumber, spreadsheetId, tabName) {
+  spreadsheetId = spreadsheetId || config.SPREADSHEET_ID;
+  tabName = tabName || config.SHEETS.DSR;
+
+  const api = await getSheets();
+  const colMap = await getColumnMap(tabName, spreadsheetId);
+  if (colMap.map.number === undefined) {
+    throw new Error(`findAllByPhone: "Mobile Number" header not found in ${tabName}`);
+  }
+
+  const lastLetter = config.colLetter(colMap.headerCount - 1);
+  const response = await api.spreadsheets.values.get({
+    spreadsheetId: spreadsheetId,
+    range: `${tabName}!A2:${lastLetter}`
+  });
+
+  return (response.data.values || [])
+    .map((rowArray, i) => ({ row: i + 2, data: rowToObject(rowArray, colMap) }))
+    .filter(r => matchPhones(phoneNumber, r.data.number || '') === 'exact');
+}
+
 
 // ═════════════════════════════════════════════════════════════
-//  CHECK FIREBASE WHITELIST (unchanged — different sheet)
+//  ONLINE ATTENDENCE — registrations + rendered attendance.
+//  Columns come from config.ATTENDANCE_HEADERS (header row), never
+//  fixed letters, so inserting a column can't shift the data.
 // ═════════════════════════════════════════════════════════════
-async function checkFirebaseWhitelist(phoneNumber) {
+
+/**
+ * All OnlineAttendence rows as field-keyed objects.
+ * @returns {Promise<{ colMap: Object, rows: Array<{ row: number, data: Object }> }>}
+ */
+async function _readAttendanceSheet() {
   const api = await getSheets();
   const sheetName = config.SHEETS.FIREBASE_WHITELIST;
+  const colMap = await getColumnMap(sheetName, config.SPREADSHEET_ID, 'attendance');
 
-  try {
-    const response = await api.spreadsheets.values.get({
-      spreadsheetId: config.SPREADSHEET_ID,
-      range: `${sheetName}!E:F`
-    });
+  const lastLetter = config.colLetter(colMap.headerCount - 1);
+  const response = await api.spreadsheets.values.get({
+    spreadsheetId: config.SPREADSHEET_ID,
+    range: `${sheetName}!A2:${lastLetter}`
+  });
 
-    const rows = response.data.values || [];
-    const last10 = getLastTenDigits(phoneNumber);
+  const rows = (response.data.values || []).map((r, i) => ({ row: i + 2, data: rowToObject(r, colMap) }));
+  return { colMap, rows };
+}
 
-    for (const row of rows) {
-      const mainNumber = String(row[0] || '').trim();
-      const regiNumber = String(row[1] || '').trim();
+/**
+ * Append a registration row; unset fields get the sheet's usual defaults.
+ */
+async function _appendAttendanceRow(colMap, fields) {
+  const api = await getSheets();
+  const sheetName = config.SHEETS.FIREBASE_WHITELIST;
 
-      if (mainNumber && getLastTenDigits(mainNumber) === last10) {
-        const registeredNumber = regiNumber || mainNumber;
-        console.log(`Whitelist match found for ${phoneNumber}, registered number: ${registeredNumber}`);
-        return registeredNumber;
-      }
-    }
+  const now = new Date();
+  const currentTime = now.toLocaleTimeString('en-IN', {
+    timeZone: 'Asia/Kolkata', hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
 
-    console.log(`No whitelist match for ${phoneNumber}`);
-    return null;
-  } catch (error) {
-    console.error(`checkFirebaseWhitelist error: ${error.message}`);
-    return null;
+  const row = objectToRow({
+    serial: '=ROW()-1',
+    date:   formatDate(now),
+    time:   currentTime,
+    course: 'CGI',
+    ...fields,
+  }, colMap);
+
+  await api.spreadsheets.values.append({
+    spreadsheetId: config.SPREADSHEET_ID,
+    range: `${sheetName}!A:${config.colLetter(colMap.headerCount - 1)}`,
+    valueInputOption: 'USER_ENTERED',
+    requestBody: { values: [row] }
+  });
+}
+
+function _requireAttendanceColumns(colMap, fields) {
+  const missing = fields.filter(f => colMap.map[f] === undefined);
+  if (missing.length > 0) {
+    const headers = missing.map(f => `"${config.ATTENDANCE_HEADERS[f]}"`).join(', ');
+    throw new Error(`${config.SHEETS.FIREBASE_WHITELIST}: header(s) not found: ${headers}`);
   }
 }
 
 
 // ═════════════════════════════════════════════════════════════
-//  UPDATE ATTENDANCE (unchanged — different sheet)
+//  UPDATE ATTENDANCE — OnlineAttendence is a rendered view of the
+//  Firestore attendance records (services/attendanceStore.js).
+//  The caller passes the full rendered cell; it replaces the
+//  Attendance column.
 // ═════════════════════════════════════════════════════════════
-async function updateAttendance(phoneNumber, name, loginTimestamp) {
-  const api = await getSheets();
-  const sheetName = config.SHEETS.FIREBASE_WHITELIST;
-
+async function updateAttendance(phoneNumber, name, attendanceValue) {
   try {
-    const searchResponse = await api.spreadsheets.values.get({
-      spreadsheetId: config.SPREADSHEET_ID,
-      range: `${sheetName}!E2:F`
-    });
+    const { colMap, rows } = await _readAttendanceSheet();
+    _requireAttendanceColumns(colMap, ['number', 'regiNumber', 'attendance']);
 
-    const searchRows = searchResponse.data.values || [];
-    let foundRow = null;
-    let fullRowData = null;
-
-    for (let i = 0; i < searchRows.length; i++) {
-      const numberCol = searchRows[i][0] || '';
-      const regiCol   = searchRows[i][1] || '';
-
-      if (phoneNumbersMatch(phoneNumber, numberCol) || phoneNumbersMatch(phoneNumber, regiCol)) {
-        foundRow = i + 2;
-        const fullRowResponse = await api.spreadsheets.values.get({
-          spreadsheetId: config.SPREADSHEET_ID,
-          range: `${sheetName}!A${foundRow}:L${foundRow}`
-        });
-        fullRowData = fullRowResponse.data.values?.[0] || [];
-        break;
-      }
+    const found = rows.find(r => ['number', 'regiNumber'].some(field =>
+      matchPhones(phoneNumber, r.data[field], { allowLegacy: true, source: `OnlineAttendence row ${r.row}` })));
+
+    if (found) {
+      await updateContactCells(found.row, { [colMap.map.attendance]: attendanceValue },
+        config.SPREADSHEET_ID, config.SHEETS.FIREBASE_WHITELIST);
+      return { found: true, action: 'updated', row: found.row, attendance: attendanceValue };
     }
 
-    const loginDate = new Date(loginTimestamp);
-    const formattedTime = loginDate.toLocaleTimeString('en-IN', {
-      timeZone: 'Asia/Kolkata', hour12: false, hour: '2-digit', minute: '2-digit'
+    await _appendAttendanceRow(colMap, {
+      name, number: phoneNumber, regiNumber: phoneNumber, attendance: attendanceValue,
     });
+    return { found: false, action: 'created', row: rows.length + 2, attendance: attendanceValue };
 
-    const buildAttendance = (current) =>
-      current ? `${current} | ${formattedTime}` : `Present ${formattedTime}`;
+  } catch (error) {
+    console.error(`updateAttendance error: ${error.message}`);
+    throw error;
+  }
+}
 
-    if (foundRow) {
-      // NOTE: These indices are for the OnlineAttendence sheet layout,
-      // NOT the DSR sheet. Do not use the DSR column map here.
-      const currentAttendance = fullRowData[11] || '';  // OnlineAttendence column L
-      const updatedAttendance = buildAttendance(currentAttendance);
 
-      await api.spreadsheets.values.update({
-        spreadsheetId: config.SPREADSHEET_ID,
-        range: `${sheetName}!L${foundRow}`,
-        valueInputOption: 'RAW',
-        requestBody: { values: [[updatedAttendance]] }
-      });
+// ═════════════════════════════════════════════════════════════
+//  ATTENDANCE REGISTRY — OnlineAttendence rows as registrations
+//  (whitelist reconciliation)
+// ═════════════════════════════════════════════════════════════
+async function getAttendanceRegistry() {
+  const { colMap, rows } = await _readAttendanceSheet();
+  _requireAttendanceColumns(colMap, ['number', 'regiNumber']);
+
+  return rows
+    .map(({ row, data }) => ({
+      row,
+      name:        (data.name || '').trim(),
+      number:      (data.number || '').trim(),
+      regiNumber:  (data.regiNumber || '').trim(),
+    }))
+    .filter(r => r.number || r.regiNumber);
+}
 
-      return {
-        found: true, action: 'updated', row: foundRow,
-        name: fullRowData[3] || name, attendance: updatedAttendance,
-        message: 'Attendance marked as Present'
-      };
+async function appendAttendanceRegistryRow(phoneNumber, name) {
+  const sheetName = config.SHEETS.FIREBASE_WHITELIST;
+  const colMap = await getColumnMap(sheetName, config.SPREADSHEET_ID, 'attendance');
+  _requireAttendanceColumns(colMap, ['number', 'regiNumber']);
 
-    } else {
-      const allRowsResponse = await api.spreadsheets.values.get({
-        spreadsheetId: config.SPREADSHEET_ID,
-        range: `${sheetName}!A2:A`
-      });
-      const existingRows = allRowsResponse.data.values || [];
-      const nextRow = existingRows.length + 2;
+  await _appendAttendanceRow(colMap, { name, number: phoneNumber, regiNumber: phoneNumber });
+  console.log(`[Sheet] Appended ${sheetName} row for ${getLastTenDigits(phoneNumber)}`);
+}
 
-      const now = new Date();
-      const currentDate = formatDate(now);
-      const currentTime = now.toLocaleTimeString('en-IN', {
-        timeZone: 'Asia/Kolkata', hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit'
-      });
-      const attendanceValue = buildAttendance('');
-
-      const newRowData = [
-        '=ROW()-1', currentDate, currentTime, name,
-        phoneNumber, phoneNumber, '', 'CGI', '', '', '', attendanceValue
-      ];
-
-      await api.spreadsheets.values.append({
-        spreadsheetId: config.SPREADSHEET_ID,
-        range: `${sheetName}!A:L`,
-        valueInputOption: 'USER_ENTERED',
-        requestBody: { values: [newRowData] }
-      });
 
-      return {
-        found: false, action: 'created', row: nextRow,
-        name, attendance: attendanceValue,
-        message: 'New entry created with attendance marked'
-      };
-    }
+// ═════════════════════════════════════════════════════════════
+//  DUPLICATE REVIEW — report tab, rewritten whole by each scan
+//  (header row from config.DUPLICATE_HEADERS, then one row per
+//  open pair). Agents read it; edits are overwritten.
+//
+//  @param {Object[]} rows — field-keyed (DUPLICATE_HEADERS keys)
+// ═════════════════════════════════════════════════════════════
+async function writeDuplicateReport(rows) {
+  const api = await getSheets();
+  const tabName = config.SHEETS.DUPLICATE_REVIEW;
+  const fields = Object.keys(config.DUPLICATE_HEADERS);
 
-  } catch (error) {
-    console.error(`updateAttendance error: ${error.message}`);
-    throw error;
-  }
+  const values = [
+    fields.map(f => config.DUPLICATE_HEADERS[f]),
+    ...rows.map(r => fields.map(f => (r[f] === undefined || r[f] === null ? '' : r[f]))),
+  ];
+
+  await api.spreadsheets.values.clear({
+    spreadsheetId: config.SPREADSHEET_ID,
+    range: `${tabName}!A:${config.colLetter(fields.length - 1)}`
+  });
+  await api.spreadsheets.values.update({
+    spreadsheetId: config.SPREADSHEET_ID,
+    range: `${tabName}!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values }
+  });
+
+  console.log(`[Sheet] ${tabName}: ${rows.length} pair(s) written`);
 }
 
 
@@ -528,9 +601,17 @@ async function insertRowToSheet(spreadsheetId, tabName, leadData) {
     certificateType:  'certificateType',
     batch:            'batch',
     finalPrice:       'finalPrice',
+    paymentStatus:    'paymentStatus',
+    paymentRemark:    'paymentRemark',
+    fullyPaid:        'fullyPaid',
+    paymentCount:     'paymentCount',
+    nextDueDate:      'nextDueDate',
+    nextDueAmount:    'nextDueAmount',
     partialAccess:    'partialAccess',
     accessThreshold:  'accessThreshold',
     paymentDeadline:  'paymentDeadline',
+    paymentLinkUrl:   'paymentLinkUrl',
+    paymentOverdue:   'paymentOverdue',
   };
 
   const set = (fieldKey, value) => {
@@ -621,10 +702,13 @@ module.exports = {
   upsertContact,
   updateContactCells,
   findByPhone,
+  findAllByPhone,
   getColumnMap,
   rowToObject,
-  checkFirebaseWhitelist,
   updateAttendance,
+  getAttendanceRegistry,
+  appendAttendanceRegistryRow,
   insertRowToSheet,
   deleteRowFromSheet,
+  writeDuplicateReport,
 };
@@ -1,13 +1,13 @@
 // ============================================================================
 //  services/smartfloService.js — Smartflo Calling API
 //
-//  Creates contacts in Smartflo for click-to-call.
-//  Uses centralized helpers and config.
+//  Creates contacts in Smartflo for click-to-call; reads call records
+//  for the lead timeline. Uses centralized helpers and config.
 // ============================================================================
 
 const axios = require('axios');
 const config = require('../config');
-const { sanitizeName } = require('../utils/helpers');
+const { sanitizeName, phoneNumbersMatch } = require('../utils/helpers');
 const { ConfigError, ExternalServiceError } = require('../lib/errorHandler');
 
 const LOG_PREFIX = '[Smartflo]';
@@ -63,10 +63,51 @@ async function createContact(phoneNumber, name, source = 'unknown') {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  CALL RECORDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Call records with one number, newest first.
+ * @param {string} phoneNumber
+ * @param {{ fromDate: string, toDate: string, limit?: number }} opts
+ *   dates as 'YYYY-MM-DD HH:mm:ss' (IST)
+ * @returns {Promise<Object[]>} records ({ id, call_id, direction, status, date, time,
+ *   call_duration, agent_name, client_number, recording_url, ... })
+ */
+async function getCallRecords(phoneNumber, { fromDate, toDate, limit = 100 }) {
+  if (!config.SMARTFLO.API_KEY) {
+    throw new ConfigError('SMARTFLO_API_KEY not set');
+  }
+
+  try {
+    const response = await axios.get(`${config.SMARTFLO.BASE_URL}/v1/call/records`, {
+      params: { from_date: fromDate, to_date: toDate, callerid: phoneNumber, page: 1, limit },
+      headers: {
+        'accept': 'application/json',
+        'Authorization': config.SMARTFLO.API_KEY,
+      },
+      timeout: config.TIMEOUTS.SMARTFLO
+    });
+
+    // Re-check locally: client_number is the lead's side of the call in both directions
+    return (response.data?.results || [])
+      .filter(r => phoneNumbersMatch(r.client_number || '', phoneNumber, { allowLegacy: true, source: 'Smartflo' }));
+
+  } catch (err) {
+    const status = err.response?.status;
+    const detail = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+    console.error(`${LOG_PREFIX} getCallRecords failed (${status || 'network'}): ${detail}`);
+    throw new ExternalServiceError(detail, 'Smartflo', { phoneNumber, status });
+  }
+}
+
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════
 
 module.exports = {
-  createContact
+  createContact,
+  getCallRecords
 };
\ No newline at end of file
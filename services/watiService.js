@@ -98,7 +98,14 @@ async function setRegistrationApprovalAttribute(waId, approvalType) {
 //  TEMPLATE MESSAGES
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function sendRegistrationConfirmation(params) {
+/**
+ * Send the registration confirmation for the session the registrant is
+ * booked into. Template and group link come from the session definition,
+ * else from config (no upcoming session of the mode scheduled).
+ * @param {Object} params - form params (wa_num, name, form_num, option)
+ * @param {{ confirmationTemplate: string, groupLink: string }|null} session
+ */
+async function sendRegistrationConfirmation(params, session) {
   const waId = params.wa_num || '';
   const name = params.name || '';
   const num = params.form_num || '';
@@ -106,15 +113,14 @@ async function sendRegistrationConfirmation(params) {
   const choice = isOffline ? "offline" : "online";
 
   if (!waId) throw new ValidationError('Phone number (wa_num) is required');
+  if (!session) {
+    console.warn(`${LOG_PREFIX} No upcoming ${choice} session scheduled — using config group link / template`);
+  }
 
-  // Use config for group links and template names
-  const grpLink = isOffline 
-    ? config.WATI.GROUP_LINKS.OFFLINE 
-    : config.WATI.GROUP_LINKS.ONLINE;
-  
-  const templateName = isOffline 
-    ? config.WATI.TEMPLATES.OFFLINE_CONFIRMATION 
-    : config.WATI.TEMPLATES.ONLINE_CONFIRMATION;
+  const grpLink = session?.groupLink
+    || (isOffline ? config.WATI.GROUP_LINKS.OFFLINE : config.WATI.GROUP_LINKS.ONLINE);
+  const templateName = session?.confirmationTemplate
+    || (isOffline ? config.WATI.TEMPLATES.OFFLINE_CONFIRMATION : config.WATI.TEMPLATES.ONLINE_CONFIRMATION);
 
   const endpoint = `/api/v1/sendTemplateMessage?whatsappNumber=${waId}`;
   
@@ -136,6 +142,65 @@ async function sendRegistrationConfirmation(params) {
   return false;
 }
 
+/**
+ * Send the payment link template.
+ * @param {string} waId
+ * @param {{ name: string, amount: number, url: string, dueDate: string }} params
+ */
+async function sendPaymentLink(waId, params) {
+  if (!waId) throw new ValidationError('Phone number (waId) is required');
+
+  const cleanPhone = normalizePhone(waId);
+  const endpoint = `/api/v1/sendTemplateMessage?whatsappNumber=${cleanPhone}`;
+
+  const response = await watiRequest('post', endpoint, {
+    template_name: config.WATI.TEMPLATES.PAYMENT_LINK,
+    broadcast_name: config.WATI.BROADCAST_NAME,
+    parameters: [
+      { name: 'name', value: params.name || '' },
+      { name: 'amount', value: String(params.amount) },
+      { name: 'payment_link', value: params.url },
+      { name: 'due_date', value: params.dueDate || '' },
+    ]
+  });
+
+  if (response.status === 200) {
+    console.log(`${LOG_PREFIX} Payment link sent to ${cleanPhone}`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Send the payment deadline reminder template.
+ * @param {string} waId
+ * @param {{ name: string, amount: number, url: string, dueDate: string, daysLeft: number }} params
+ */
+async function sendPaymentReminder(waId, params) {
+  if (!waId) throw new ValidationError('Phone number (waId) is required');
+
+  const cleanPhone = normalizePhone(waId);
+  const endpoint = `/api/v1/sendTemplateMessage?whatsappNumber=${cleanPhone}`;
+
+  const response = await watiRequest('post', endpoint, {
+    template_name: config.WATI.TEMPLATES.PAYMENT_REMINDER,
+    broadcast_name: config.WATI.BROADCAST_NAME,
+    parameters: [
+      { name: 'name', value: params.name || '' },
+      { name: 'amount', value: String(params.amount) },
+      { name: 'payment_link', value: params.url || '' },
+      { name: 'due_date', value: params.dueDate || '' },
+      { name: 'days_left', value: String(params.daysLeft) },
+    ]
+  });
+
+  if (response.status === 200) {
+    console.log(`${LOG_PREFIX} Payment reminder sent to ${cleanPhone} (${params.daysLeft}d left)`);
+    return true;
+  }
+  return false;
+}
+
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  CONTACT DETAILS
@@ -155,6 +220,25 @@ async function getContactDetails(phoneNumber) {
 }
 
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  MESSAGES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * One page of a contact's conversation, newest first.
+ * @param {string} phoneNumber
+ * @param {{ pageSize?: number, pageNumber?: number }} [opts]
+ * @returns {Promise<Object[]>} WATI message items ({ id, created, text, owner, type, ... })
+ */
+async function getMessages(phoneNumber, { pageSize = 100, pageNumber = 1 } = {}) {
+  const cleanPhone = normalizePhone(phoneNumber);
+  const endpoint = `/api/v1/getMessages/${cleanPhone}?pageSize=${pageSize}&pageNumber=${pageNumber}`;
+
+  const response = await watiRequest('get', endpoint);
+  return response.data?.messages?.items || [];
+}
+
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -164,5 +248,8 @@ module.exports = {
   setWaidAttribute,
   setRegistrationApprovalAttribute,
   sendRegistrationConfirmation,
-  getContactDetails
+  sendPaymentLink,
+  sendPaymentReminder,
+  getContactDetails,
+  getMessages
 };
\ No newline at end of file
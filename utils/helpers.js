@@ -10,21 +10,160 @@ const config = require('../config');
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  PHONE UTILITIES
+//
+//  Numbers are parsed to E.164: country calling code + national number,
+//  each checked against the region's national-number lengths. Input
+//  without '+' / '00' is read as a national number of the default region
+//  (config.PHONE.DEFAULT_REGION, IN) — with or without its trunk '0' —
+//  and otherwise as an international number missing its '+'
+//  ('919876543210' from WATI).
+//
+//  Last-10-digit matching is legacy: only matchPhones(..., { allowLegacy })
+//  falls back to it, for values that don't parse, and logs every use.
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Calling code → region. lengths = allowed national-number lengths [min, max].
+// mobile — what a bare national number (no country code, no trunk '0') must
+// look like to be read as this region's when it is the default region.
+const PHONE_REGIONS = {
+  '1':   { iso: 'US', name: 'USA/Canada',   lengths: [10, 10] },
+  '7':   { iso: 'RU', name: 'Russia',       lengths: [10, 10] },
+  '20':  { iso: 'EG', name: 'Egypt',        lengths: [8, 10] },
+  '27':  { iso: 'ZA', name: 'South Africa', lengths: [9, 9] },
+  '30':  { iso: 'GR', name: 'Greece',       lengths: [10, 10] },
+  '31':  { iso: 'NL', name: 'Netherlands',  lengths: [9, 9] },
+  '32':  { iso: 'BE', name: 'Belgium',      lengths: [8, 9] },
+  '33':  { iso: 'FR', name: 'France',       lengths: [9, 9] },
+  '34':  { iso: 'ES', name: 'Spain',        lengths: [9, 9] },
+  '39':  { iso: 'IT', name: 'Italy',        lengths: [6, 11] },
+  '41':  { iso: 'CH', name: 'Switzerland',  lengths: [9, 9] },
+  '43':  { iso: 'AT', name: 'Austria',      lengths: [4, 13] },
+  '44':  { iso: 'GB', name: 'UK',           lengths: [9, 10] },
+  '45':  { iso: 'DK', name: 'Denmark',      lengths: [8, 8] },
+  '46':  { iso: 'SE', name: 'Sweden',       lengths: [7, 9] },
+  '47':  { iso: 'NO', name: 'Norway',       lengths: [8, 8] },
+  '48':  { iso: 'PL', name: 'Poland',       lengths: [9, 9] },
+  '49':  { iso: 'DE', name: 'Germany',      lengths: [6, 11] },
+  '52':  { iso: 'MX', name: 'Mexico',       lengths: [10, 10] },
+  '55':  { iso: 'BR', name: 'Brazil',       lengths: [10, 11] },
+  '60':  { iso: 'MY', name: 'Malaysia',     lengths: [9, 10] },
+  '61':  { iso: 'AU', name: 'Australia',    lengths: [9, 9] },
+  '62':  { iso: 'ID', name: 'Indonesia',    lengths: [9, 12] },
+  '63':  { iso: 'PH', name: 'Philippines',  lengths: [10, 10] },
+  '64':  { iso: 'NZ', name: 'New Zealand',  lengths: [8, 10] },
+  '65':  { iso: 'SG', name: 'Singapore',    lengths: [8, 8] },
+  '66':  { iso: 'TH', name: 'Thailand',     lengths: [8, 9] },
+  '81':  { iso: 'JP', name: 'Japan',        lengths: [9, 10] },
+  '82':  { iso: 'KR', name: 'South Korea',  lengths: [9, 10] },
+  '84':  { iso: 'VN', name: 'Vietnam',      lengths: [9, 10] },
+  '86':  { iso: 'CN', name: 'China',        lengths: [10, 11] },
+  '90':  { iso: 'TR', name: 'Turkey',       lengths: [10, 10] },
+  '91':  { iso: 'IN', name: 'India',        lengths: [10, 10], mobile: /^[6-9]\d{9}$/ },
+  '92':  { iso: 'PK', name: 'Pakistan',     lengths: [10, 10] },
+  '93':  { iso: 'AF', name: 'Afghanistan',  lengths: [9, 9] },
+  '94':  { iso: 'LK', name: 'Sri Lanka',    lengths: [9, 9] },
+  '95':  { iso: 'MM', name: 'Myanmar',      lengths: [8, 10] },
+  '98':  { iso: 'IR', name: 'Iran',         lengths: [10, 10] },
+  '212': { iso: 'MA', name: 'Morocco',      lengths: [9, 9] },
+  '233': { iso: 'GH', name: 'Ghana',        lengths: [9, 9] },
+  '234': { iso: 'NG', name: 'Nigeria',      lengths: [8, 10] },
+  '254': { iso: 'KE', name: 'Kenya',        lengths: [9, 9] },
+  '255': { iso: 'TZ', name: 'Tanzania',     lengths: [9, 9] },
+  '256': { iso: 'UG', name: 'Uganda',       lengths: [9, 9] },
+  '351': { iso: 'PT', name: 'Portugal',     lengths: [9, 9] },
+  '353': { iso: 'IE', name: 'Ireland',      lengths: [7, 9] },
+  '358': { iso: 'FI', name: 'Finland',      lengths: [5, 10] },
+  '852': { iso: 'HK', name: 'Hong Kong',    lengths: [8, 8] },
+  '880': { iso: 'BD', name: 'Bangladesh',   lengths: [10, 10] },
+  '886': { iso: 'TW', name: 'Taiwan',       lengths: [9, 9] },
+  '960': { iso: 'MV', name: 'Maldives',     lengths: [7, 7] },
+  '961': { iso: 'LB', name: 'Lebanon',      lengths: [7, 8] },
+  '962': { iso: 'JO', name: 'Jordan',       lengths: [8, 9] },
+  '964': { iso: 'IQ', name: 'Iraq',         lengths: [10, 10] },
+  '965': { iso: 'KW', name: 'Kuwait',       lengths: [8, 8] },
+  '966': { iso: 'SA', name: 'Saudi Arabia', lengths: [9, 9] },
+  '968': { iso: 'OM', name: 'Oman',         lengths: [8, 8] },
+  '971': { iso: 'AE', name: 'UAE',          lengths: [8, 9] },
+  '972': { iso: 'IL', name: 'Israel',       lengths: [8, 9] },
+  '973': { iso: 'BH', name: 'Bahrain',      lengths: [8, 8] },
+  '974': { iso: 'QA', name: 'Qatar',        lengths: [8, 8] },
+  '975': { iso: 'BT', name: 'Bhutan',       lengths: [7, 8] },
+  '977': { iso: 'NP', name: 'Nepal',        lengths: [8, 10] },
+};
+
+const CALLING_CODE_BY_ISO = Object.fromEntries(
+  Object.entries(PHONE_REGIONS).map(([code, region]) => [region.iso, code]));
+
+function _phoneResult(countryCode, nationalNumber) {
+  const region = PHONE_REGIONS[countryCode];
+  const lengthOk = region &&
+    nationalNumber.length >= region.lengths[0] && nationalNumber.length <= region.lengths[1];
+  if (!lengthOk) return null;
+
+  const digits = countryCode + nationalNumber;
+  return { e164: `+${digits}`, digits, countryCode, nationalNumber, iso: region.iso, name: region.name };
+}
+
+function _parseInternational(digits) {
+  for (const len of [1, 2, 3]) {
+    const parsed = _phoneResult(digits.substring(0, len), digits.substring(len));
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
 /**
- * Extract last 10 digits from phone number (for Indian mobile matching)
+ * Parse a phone number to E.164.
+ * Bare digits: a default-region mobile ('9512345678' → +91) wins over a
+ * country-code read; otherwise the country code is taken from the digits
+ * ('4791234567' → +47, '12125551234' → +1).
+ * @param {string|number} phone - '+1 212 555 1234', '00971...', '09876543210', '919876543210', ...
+ * @param {string} [defaultRegion] - ISO code for numbers without a country code
+ * @returns {{ e164, digits, countryCode, nationalNumber, iso, name }|null} null if not a valid number
+ */
+function parsePhone(phone, defaultRegion = config.PHONE.DEFAULT_REGION) {
+  if (phone === null || phone === undefined) return null;
+  const raw = phone.toString().trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (raw.startsWith('+')) return _parseInternational(digits);
+  if (digits.startsWith('00')) return _parseInternational(digits.substring(2));
+
+  // Trunk '0' → national number of the default region
+  const defaultCode = CALLING_CODE_BY_ISO[defaultRegion];
+  if (defaultCode && digits.startsWith('0')) return _phoneResult(defaultCode, digits.substring(1));
+
+  // Bare national mobile of the default region first: '9512345678' and
+  // '6412345678' are Indian mobiles, not Myanmar / New Zealand numbers
+  const region = defaultCode && PHONE_REGIONS[defaultCode];
+  if (region?.mobile && region.mobile.test(digits)) return _phoneResult(defaultCode, digits);
+
+  // Country code included (WATI waIds, most sheet values): '4791234567' is Norway
+  const international = _parseInternational(digits);
+  if (international) return international;
+
+  // Default region without a mobile pattern — any valid national length
+  if (region && !region.mobile) return _phoneResult(defaultCode, digits);
+  return null;
+}
+
+/**
+ * Extract last 10 digits from phone number.
+ * LEGACY: only for matching old values that don't parse — see matchPhones.
  */
 function getLastTenDigits(phoneNumber) {
   return phoneNumber.toString().replace(/\D/g, '').slice(-10);
 }
 
 /**
- * Normalize phone to digits only (E.164 without +)
+ * Canonical digits-only key (E.164 without +). Values that don't parse
+ * fall back to their raw digits so legacy records keep a stable key.
  */
 function normalizePhone(phone) {
   if (!phone) return '';
-  return phone.toString().replace(/\D/g, '');
+  const parsed = parsePhone(phone);
+  return parsed ? parsed.digits : phone.toString().replace(/\D/g, '');
 }
 
 /**
@@ -36,26 +175,48 @@ function formatPhoneE164(phone) {
 }
 
 /**
- * Sanitize phone for Firebase RTDB path
+ * Sanitize phone for Firebase RTDB path (E.164 key)
  */
 function sanitizePhoneForFirebase(phone) {
+  const parsed = parsePhone(phone);
+  if (parsed) return parsed.e164;
   return phone.toString()
     .replace(/\s/g, '')
     .replace(/^(?!\+)/, '+');
 }
 
 /**
- * Check if two phone numbers match (comparing last 10 digits)
+ * Compare two numbers.
+ *   'exact'  — same E.164 number
+ *   'legacy' — one side doesn't parse, last 10 digits agree; only with
+ *              options.allowLegacy, and logged so the record can be fixed
+ *   null     — different numbers
+ * @param {{ allowLegacy?: boolean, source?: string }} [options]
  */
-function phoneNumbersMatch(num1, num2) {
-  return getLastTenDigits(num1) === getLastTenDigits(num2);
+function matchPhones(num1, num2, options = {}) {
+  const a = parsePhone(num1);
+  const b = parsePhone(num2);
+  if (a && b) return a.digits === b.digits ? 'exact' : null;
+
+  if (!options.allowLegacy || !num1 || !num2) return null;
+  if (getLastTenDigits(num1).length < 10 || getLastTenDigits(num1) !== getLastTenDigits(num2)) return null;
+
+  console.warn(`[Phone] LEGACY last-10 match${options.source ? ` (${options.source})` : ''}: "${num1}" ~ "${num2}"`);
+  return 'legacy';
 }
 
 /**
- * Validate phone number has minimum digits
+ * Check if two phone numbers are the same E.164 number (see matchPhones)
  */
-function isValidPhone(phone, minDigits = 10) {
-  return normalizePhone(phone).length >= minDigits;
+function phoneNumbersMatch(num1, num2, options = {}) {
+  return matchPhones(num1, num2, options) !== null;
+}
+
+/**
+ * Validate phone number parses to a valid E.164 number
+ */
+function isValidPhone(phone) {
+  return parsePhone(phone) !== null;
 }
 
 
@@ -121,6 +282,28 @@ function formatTimeIST(date) {
   });
 }
 
+/**
+ * Calendar date in IST as YYYY-MM-DD
+ */
+function dateKeyIST(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return d.toLocaleDateString('en-CA', { timeZone: config.TIMEZONE });
+}
+
+/**
+ * End of a deadline as a Date. A date-only value ('YYYY-MM-DD') runs to
+ * 23:59:59 IST that day; anything else is parsed as-is.
+ * @returns {Date|null} null if missing or unparseable
+ */
+function deadlineEndIST(deadline) {
+  if (!deadline) return null;
+  const raw = String(deadline).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+    ? new Date(`${raw}T23:59:59+05:30`)
+    : new Date(raw);
+  return isNaN(d.getTime()) ? null : d;
+}
+
 /**
  * Format time in IST (HH:MM only)
  */
@@ -141,11 +324,98 @@ function nowISO() {
   return new Date().toISOString();
 }
 
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PAYMENT UTILITIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse an amount from sheet/form/gateway input ("₹12,500", "12500.00", 12500) → number
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : 0;
+  const n = parseFloat((value || '').toString().replace(/[^\d.-]/g, ''));
+  return isFinite(n) ? n : 0;
+}
+
+/**
+ * Derive payment rollups from the final price and the total paid so far.
+ * finalPrice '' / 0 means "not yet set" — status is 'Received', nothing pending.
+ *
+ * @returns {{ amountPaid: number, pendingAmount: number|string, paymentStatus: string, fullyPaid: boolean }}
+ */
+function computePaymentTotals(finalPrice, amountPaid) {
+  const price = parseAmount(finalPrice);
+  const paid  = Math.round(parseAmount(amountPaid) * 100) / 100;
+
+  if (!price) {
+    return { amountPaid: paid, pendingAmount: '', paymentStatus: paid > 0 ? 'Received' : 'Pending', fullyPaid: false };
+  }
+
+  const pending = Math.max(Math.round((price - paid) * 100) / 100, 0);
+  let paymentStatus = 'Pending';
+  if (paid > price)        paymentStatus = 'Overpaid';
+  else if (paid === price) paymentStatus = 'Paid';
+  else if (paid > 0)       paymentStatus = 'Partial';
+
+  return { amountPaid: paid, pendingAmount: pending, paymentStatus, fullyPaid: paid >= price };
+}
+
+
 /**
- * Build attendance string (used in sheetsService)
+ * Split finalPrice into `count` installments with due dates.
+ * Amounts are whole rupees; the rounding remainder goes on the last one.
+ *
+ * @param {number|string} finalPrice
+ * @param {number|string} count - installment count (>= 1)
+ * @param {Date|string} firstDueDate
+ * @param {number} intervalDays - gap between due dates
+ * @returns {Array<{ no: number, amount: number, dueDate: string, paidAmount: number, status: string }>}
+ *   dueDate is YYYY-MM-DD
  */
-function buildAttendanceString(current, time) {
-  return current ? `${current} | ${time}` : `Present ${time}`;
+function buildInstallmentSchedule(finalPrice, count, firstDueDate, intervalDays) {
+  const price = parseAmount(finalPrice);
+  const n = Math.max(parseInt(count, 10) || 1, 1);
+  if (!price) return [];
+
+  const base = Math.floor(price / n);
+  const first = new Date(firstDueDate);
+  const schedule = [];
+
+  for (let i = 0; i < n; i++) {
+    const due = new Date(first.getTime() + i * intervalDays * 24 * 60 * 60 * 1000);
+    schedule.push({
+      no: i + 1,
+      amount: i === n - 1 ? Math.round((price - base * (n - 1)) * 100) / 100 : base,
+      dueDate: due.toISOString().slice(0, 10),
+      paidAmount: 0,
+      status: 'due',
+    });
+  }
+  return schedule;
+}
+
+/**
+ * Apply the total paid to a schedule in order (waterfall).
+ * @returns {{ schedule: Array, nextDue: { no, amount, dueDate }|null }}
+ *   nextDue.amount is what is still owed on that installment
+ */
+function allocateInstallments(schedule, totalPaid) {
+  let remaining = parseAmount(totalPaid);
+  let nextDue = null;
+
+  const allocated = (schedule || []).map(inst => {
+    const paidAmount = Math.min(remaining, inst.amount);
+    remaining = Math.round((remaining - paidAmount) * 100) / 100;
+    const status = paidAmount >= inst.amount ? 'paid' : (paidAmount > 0 ? 'partial' : 'due');
+    if (!nextDue && status !== 'paid') {
+      nextDue = { no: inst.no, amount: Math.round((inst.amount - paidAmount) * 100) / 100, dueDate: inst.dueDate };
+    }
+    return { ...inst, paidAmount, status };
+  });
+
+  return { schedule: allocated, nextDue };
 }
 
 
@@ -268,10 +538,13 @@ function shouldAssignRobo(text) {
 
 module.exports = {
   // Phone
+  PHONE_REGIONS,
+  parsePhone,
   getLastTenDigits,
   normalizePhone,
   formatPhoneE164,
   sanitizePhoneForFirebase,
+  matchPhones,
   phoneNumbersMatch,
   isValidPhone,
   
@@ -284,8 +557,15 @@ module.exports = {
   formatDate,
   formatTimeIST,
   formatTimeShortIST,
+  dateKeyIST,
+  deadlineEndIST,
   nowISO,
-  buildAttendanceString,
+
+  // Payment
+  parseAmount,
+  computePaymentTotals,
+  buildInstallmentSchedule,
+  allocateInstallments,
   
   // Fuzzy
   levenshtein,